@@ -4,10 +4,40 @@
  * https://www.hlx.live/developer/block-collection/accordion
  */
 
-import { moveInstrumentation } from '../../scripts/scripts.js';
+import { mapRows } from '../../scripts/scripts.js';
+
+/**
+ * Gets the open items, to keep them open when the block is re-decorated in the editor.
+ * @param {Element} block The accordion block element
+ * @returns {Array<string>} the resources of the open items
+ */
+export function getEditorState(block) {
+  return [...block.querySelectorAll('details[open]')].map((details) => details.dataset.aueResource);
+}
+
+/**
+ * Opens the items that were open before the block was re-decorated.
+ * @param {Element} block The accordion block element
+ * @param {Array<string>} state the resources of the open items
+ */
+export function restoreEditorState(block, state) {
+  block.querySelectorAll('details').forEach((details) => {
+    details.open = state.includes(details.dataset.aueResource);
+  });
+}
+
+/**
+ * Opens the item of an element selected in the editor.
+ * @param {Element} block The accordion block element
+ * @param {Element} element The selected element
+ */
+export function revealEditorItem(block, element) {
+  const details = element.closest('details');
+  if (details) details.open = true;
+}
 
 export default function decorate(block) {
-  [...block.children].forEach((row) => {
+  mapRows(block, (row) => {
     // decorate accordion item label
     const label = row.children[0];
     const summary = document.createElement('summary');
@@ -18,9 +48,8 @@ export default function decorate(block) {
     body.className = 'accordion-item-body';
     // decorate accordion item
     const details = document.createElement('details');
-    moveInstrumentation(row, details);
     details.className = 'accordion-item';
     details.append(summary, body);
-    row.replaceWith(details);
+    return details;
   });
 }
@@ -0,0 +1,35 @@
+/*
+ * Byline Block
+ * Author and publication date of an article, auto-blocked from the page metadata
+ */
+
+import { readBlockConfig } from '../../scripts/aem.js';
+import { fetchPlaceholders } from '../../scripts/placeholders.js';
+
+function formatDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return new Intl.DateTimeFormat(document.documentElement.lang || 'en', { dateStyle: 'long', timeZone: 'UTC' }).format(date);
+}
+
+export default async function decorate(block) {
+  const { author, date } = readBlockConfig(block);
+  const placeholders = await fetchPlaceholders();
+  block.textContent = '';
+
+  if (author) {
+    const p = document.createElement('p');
+    p.className = 'byline-author';
+    p.textContent = `${placeholders.bylineBy || 'By'} ${author}`;
+    block.append(p);
+  }
+
+  if (date) {
+    const time = document.createElement('time');
+    time.className = 'byline-date';
+    const formatted = formatDate(date);
+    if (formatted) [time.dateTime] = new Date(date).toISOString().split('T');
+    time.textContent = formatted || date;
+    block.append(time);
+  }
+}
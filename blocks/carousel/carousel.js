@@ -43,6 +43,42 @@ export function showSlide(block, slideIndex = 0, behavior = 'smooth') {
   });
 }
 
+/**
+ * Gets the active slide, to keep it when the block is re-decorated in the editor.
+ * @param {Element} block The carousel block element
+ * @returns {string} the index of the active slide
+ */
+export function getEditorState(block) {
+  return block.dataset.activeSlide;
+}
+
+/**
+ * Shows the slide that was active before the block was re-decorated.
+ * @param {Element} block The carousel block element
+ * @param {string} state the index of the active slide
+ */
+export function restoreEditorState(block, state) {
+  // the xwalk-scroll-mutation attribute makes the editor update its overlays
+  // once the slides have scrolled
+  block.setAttribute('xwalk-scroll-mutation', 'true');
+  block.querySelector('.carousel-slides').onscrollend = () => {
+    block.removeAttribute('xwalk-scroll-mutation');
+  };
+  showSlide(block, parseInt(state, 10) || 0);
+}
+
+/**
+ * Shows the slide of an element selected in the editor.
+ * @param {Element} block The carousel block element
+ * @param {Element} element The selected element
+ */
+export function revealEditorItem(block, element) {
+  const slide = element.closest('.carousel-slide');
+  if (slide && slide.dataset.slideIndex !== block.dataset.activeSlide) {
+    restoreEditorState(block, slide.dataset.slideIndex);
+  }
+}
+
 function bindEvents(block) {
   const slideIndicators = block.querySelector('.carousel-slide-indicators');
   if (!slideIndicators) return;
@@ -0,0 +1,118 @@
+/*
+ * Conditional field visibility for the form block.
+ * A field with a Condition column like "show if contact-method = phone" is shown
+ * only while the condition holds, otherwise it is hidden and disabled, which keeps it
+ * out of the payload and of the constraint validation.
+ *
+ * Supported operators: =, !=, is, is not, contains, is empty, is not empty.
+ * Clauses can be combined with "and" and "or", "and" binding tighter.
+ */
+
+const CLAUSE = /^([\w-]+)\s*(!=|=|is not empty|is empty|is not|is|contains)\s*(.*)$/i;
+
+/**
+ * Parses a condition text.
+ * @param {string} text the condition, e.g. "show if contact-method = phone"
+ * @returns {Object|null} the action and the clauses, grouped as OR of ANDs
+ */
+export function parseCondition(text) {
+  const [, action, rules] = text.trim().match(/^(show|hide)\s+if\s+(.+)$/i) || [];
+  if (!action) return null;
+  const parseClause = (clause) => {
+    const [, name, operator, value] = clause.trim().match(CLAUSE) || [];
+    if (!name) return null;
+    return { name, operator: operator.toLowerCase(), value: value.trim().toLowerCase() };
+  };
+  const groups = rules.split(/\s+or\s+/i)
+    .map((group) => group.split(/\s+and\s+/i).map(parseClause));
+  if (groups.flat().some((clause) => !clause)) return null;
+  return { show: action.toLowerCase() === 'show', groups };
+}
+
+/**
+ * Gets the values of the enabled fields with a given name.
+ * @param {HTMLFormElement} form the form
+ * @param {string} name the field name
+ * @returns {Array<string>} the lowercase values, only the checked ones for radios and checkboxes
+ */
+function getFieldValues(form, name) {
+  return [...form.elements]
+    .filter((field) => field.name === name && !field.disabled)
+    .filter((field) => !['radio', 'checkbox'].includes(field.type) || field.checked)
+    .map((field) => field.value.trim().toLowerCase())
+    .filter((value) => !!value);
+}
+
+function testClause(form, { name, operator, value }) {
+  const values = getFieldValues(form, name);
+  switch (operator) {
+    case '=':
+    case 'is':
+      return values.includes(value);
+    case '!=':
+    case 'is not':
+      return !values.includes(value);
+    case 'contains':
+      return values.some((fieldValue) => fieldValue.includes(value));
+    case 'is empty':
+      return !values.length;
+    case 'is not empty':
+      return !!values.length;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Shows or hides a field wrapper, disabling its own controls while hidden.
+ * Controls of nested conditional wrappers are left to their own condition.
+ */
+function setVisible(wrapper, visible) {
+  if (wrapper.hidden === !visible) return false;
+  wrapper.hidden = !visible;
+  wrapper.querySelectorAll('input, select, textarea, fieldset').forEach((control) => {
+    if (control.closest('[data-condition]') === wrapper) control.disabled = !visible;
+  });
+  return true;
+}
+
+/**
+ * Evaluates all conditions of a form, until dependent conditions settle.
+ * @param {HTMLFormElement} form the form
+ */
+export function evaluateConditions(form) {
+  const wrappers = [...form.querySelectorAll('[data-condition]')];
+  // each pass can reveal or hide fields other conditions depend on
+  for (let pass = 0; pass <= wrappers.length; pass += 1) {
+    const changed = wrappers.reduce((acc, wrapper) => {
+      // fields of repeatable items can be added after initConditions()
+      wrapper.condition = wrapper.condition || parseCondition(wrapper.dataset.condition);
+      if (!wrapper.condition) return acc;
+      const { show, groups } = wrapper.condition;
+      const matches = groups.some((clauses) => clauses.every((clause) => testClause(form, clause)));
+      return setVisible(wrapper, matches === show) || acc;
+    }, false);
+    if (!changed) return;
+  }
+}
+
+/**
+ * Wires the conditions of a form to re-evaluate on every input.
+ * @param {HTMLFormElement} form the form
+ */
+export default function initConditions(form) {
+  const wrappers = [...form.querySelectorAll('[data-condition]')];
+  wrappers.forEach((wrapper) => {
+    wrapper.condition = parseCondition(wrapper.dataset.condition);
+    if (!wrapper.condition) {
+      // eslint-disable-next-line no-console
+      console.warn(`Invalid form field condition "${wrapper.dataset.condition}"`);
+      delete wrapper.dataset.condition;
+    }
+  });
+  if (!form.querySelector('[data-condition]')) return;
+
+  evaluateConditions(form);
+  form.addEventListener('input', () => evaluateConditions(form));
+  form.addEventListener('change', () => evaluateConditions(form));
+}
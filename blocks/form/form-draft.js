@@ -0,0 +1,87 @@
+/*
+ * Save and resume drafts for the form block.
+ * Entered values are kept in localStorage per form definition. When a draft
+ * is found, the visitor is asked whether to restore or discard it, and the
+ * draft is cleared once the form was submitted.
+ */
+
+import { fetchPlaceholders } from '../../scripts/placeholders.js';
+import {
+  getFormKey, readStorage, restoreForm, serializeForm, writeStorage,
+} from './form-state.js';
+
+const STORAGE_PREFIX = 'form-draft';
+const MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Clears the draft of a form, e.g. after it was submitted.
+ * @param {HTMLFormElement} form the form
+ */
+export function clearDraft(form) {
+  writeStorage(localStorage, getFormKey(form, STORAGE_PREFIX), null);
+}
+
+function createPrompt(placeholders, onRestore, onDiscard) {
+  const prompt = document.createElement('div');
+  prompt.className = 'form-draft';
+  prompt.setAttribute('role', 'status');
+  const text = document.createElement('p');
+  text.textContent = placeholders.formDraftPrompt || 'You have an unfinished draft of this form. Do you want to restore it?';
+  const restore = document.createElement('button');
+  restore.type = 'button';
+  restore.className = 'button';
+  restore.textContent = placeholders.formDraftRestore || 'Restore';
+  restore.addEventListener('click', onRestore);
+  const discard = document.createElement('button');
+  discard.type = 'button';
+  discard.className = 'button secondary';
+  discard.textContent = placeholders.formDraftDiscard || 'Discard';
+  discard.addEventListener('click', onDiscard);
+  prompt.append(text, restore, discard);
+  return prompt;
+}
+
+/**
+ * Keeps the values of a form as a draft while they are edited, and offers
+ * to restore an earlier draft.
+ * @param {HTMLFormElement} form the form
+ */
+export default async function initDrafts(form) {
+  const key = getFormKey(form, STORAGE_PREFIX);
+  const initial = JSON.stringify(serializeForm(form));
+  // drafts are not saved while the visitor decides about an earlier one
+  let paused = false;
+
+  const save = () => {
+    if (paused) return;
+    const values = serializeForm(form);
+    // a form that is back to its defaults has no draft
+    const draft = JSON.stringify(values) === initial ? null : { savedAt: Date.now(), values };
+    writeStorage(localStorage, key, draft);
+  };
+  form.addEventListener('input', save);
+  form.addEventListener('change', save);
+
+  const draft = readStorage(localStorage, key);
+  if (!draft?.values || Date.now() - draft.savedAt > MAX_AGE) {
+    clearDraft(form);
+    return;
+  }
+
+  const placeholders = await fetchPlaceholders();
+  const focusFirstField = () => [...form.elements]
+    .find((el) => el.matches('input, select, textarea') && !el.closest('.form-honeypot'))?.focus();
+  paused = true;
+  const prompt = createPrompt(placeholders, async () => {
+    prompt.remove();
+    paused = false;
+    await restoreForm(form, draft.values);
+    focusFirstField();
+  }, () => {
+    prompt.remove();
+    paused = false;
+    clearDraft(form);
+    focusFirstField();
+  });
+  form.prepend(prompt);
+}
@@ -1,4 +1,6 @@
 import { toClassName } from '../../scripts/aem.js';
+import { fetchPlaceholders } from '../../scripts/placeholders.js';
+import { moveInstrumentation } from '../../scripts/scripts.js';
 
 function createFieldWrapper(fd) {
   const fieldWrapper = document.createElement('div');
@@ -6,6 +8,7 @@ function createFieldWrapper(fd) {
   fieldWrapper.classList.add('field-wrapper', `${fd.Type}-wrapper`);
 
   fieldWrapper.dataset.fieldset = fd.Fieldset;
+  if (fd.Condition) fieldWrapper.dataset.condition = fd.Condition;
 
   return fieldWrapper;
 }
@@ -36,6 +39,15 @@ function setCommonAttributes(field, fd) {
   field.required = fd.Mandatory && (fd.Mandatory.toLowerCase() === 'true' || fd.Mandatory.toLowerCase() === 'x');
   field.placeholder = fd.Placeholder;
   field.value = fd.Value;
+  // validation rules, see form-validation.js
+  if (fd.Pattern) field.setAttribute('pattern', fd.Pattern);
+  if (fd.Min) field.setAttribute('min', fd.Min);
+  if (fd.Max) field.setAttribute('max', fd.Max);
+  if (fd.MinLength) field.setAttribute('minlength', fd.MinLength);
+  if (fd.MaxLength) field.setAttribute('maxlength', fd.MaxLength);
+  if (fd.Match) field.dataset.match = fd.Match;
+  // sensitive values are never kept in browser storage, see form-state.js
+  if (fd.Persist && ['false', 'no'].includes(fd.Persist.toLowerCase())) field.dataset.persist = 'false';
 }
 
 const createHeading = (fd) => {
@@ -112,7 +124,12 @@ const createSelect = async (fd) => {
 };
 
 const createConfirmation = (fd, form) => {
-  form.dataset.confirmation = new URL(fd.Value).pathname;
+  // a URL redirects after submitting, any other text is shown as an inline thank-you message
+  try {
+    form.dataset.confirmation = new URL(fd.Value).pathname;
+  } catch (e) {
+    form.dataset.confirmationMessage = fd.Value || fd.Label;
+  }
 
   return {};
 };
@@ -213,6 +230,289 @@ const createRadio = (fd) => {
   return { field, fieldWrapper };
 };
 
+// radios and checkboxes sharing a name form one group
+function getFieldGroup(field) {
+  const { form, name } = field;
+  return name && form ? [...form.elements].filter((el) => el.name === name) : [field];
+}
+
+/**
+ * Shows an error message below a field and flags it as invalid.
+ * Radio and checkbox groups show the message once, on their first field.
+ * @param {Element} field the field element
+ * @param {string} message the error message
+ */
+export function setFieldError(field, message) {
+  const fields = getFieldGroup(field);
+  const [first] = fields;
+  const wrapper = first.closest('.field-wrapper');
+  const errorId = `${first.id}-error`;
+  let error = wrapper.querySelector(`#${errorId}`);
+  if (!error) {
+    error = document.createElement('p');
+    error.id = errorId;
+    error.className = 'field-error';
+    wrapper.append(error);
+  }
+  error.textContent = message;
+  fields.forEach((el) => {
+    el.setAttribute('aria-invalid', 'true');
+    const describedBy = (el.getAttribute('aria-describedby') || '').split(' ').filter((id) => !!id);
+    if (!describedBy.includes(errorId)) el.setAttribute('aria-describedby', [...describedBy, errorId].join(' '));
+  });
+  wrapper.classList.add('field-invalid');
+}
+
+/**
+ * Removes the error message of a field set by setFieldError().
+ * @param {Element} field the field element
+ */
+export function clearFieldError(field) {
+  const fields = getFieldGroup(field);
+  const [first] = fields;
+  const errorId = `${first.id}-error`;
+  const wrapper = first.closest('.field-wrapper');
+  wrapper?.querySelector(`#${errorId}`)?.remove();
+  wrapper?.classList.remove('field-invalid');
+  fields.forEach((el) => {
+    el.removeAttribute('aria-invalid');
+    const describedBy = (el.getAttribute('aria-describedby') || '').split(' ')
+      .filter((id) => !!id && id !== errorId);
+    if (describedBy.length) el.setAttribute('aria-describedby', describedBy.join(' '));
+    else el.removeAttribute('aria-describedby');
+  });
+}
+
+const FILE_SIZE_UNITS = {
+  b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3,
+};
+
+function parseFileSize(text) {
+  const [, size, unit] = `${text || ''}`.trim().match(/^([\d.]+)\s*(b|kb|mb|gb)?$/i) || [];
+  return size ? parseFloat(size) * FILE_SIZE_UNITS[(unit || 'b').toLowerCase()] : 0;
+}
+
+function formatFileSize(bytes) {
+  const [unit, factor] = Object.entries(FILE_SIZE_UNITS).reverse()
+    .find(([, unitFactor]) => bytes >= unitFactor) || ['b', 1];
+  return `${Math.round((bytes / factor) * 10) / 10} ${unit.toUpperCase()}`;
+}
+
+function matchesAccept(file, accept) {
+  if (!accept) return true;
+  const name = file.name.toLowerCase();
+  return accept.toLowerCase().split(',').map((type) => type.trim()).some((type) => {
+    if (type.startsWith('.')) return name.endsWith(type);
+    if (type.endsWith('/*')) return file.type.startsWith(type.slice(0, -1));
+    return file.type === type;
+  });
+}
+
+/**
+ * File upload with drag and drop, previews and per-file removal.
+ * Accept, MaxSize (e.g. 5MB) and MaxCount columns restrict the selectable files.
+ * The field takes a single file, which a new one replaces, unless MaxCount is more than 1.
+ */
+const createFile = async (fd, form) => {
+  const placeholders = await fetchPlaceholders();
+  const field = document.createElement('input');
+  field.type = 'file';
+  setCommonAttributes(field, { ...fd, Value: '' });
+  const maxSize = parseFileSize(fd.MaxSize);
+  const maxCount = parseInt(fd.MaxCount, 10) || 0;
+  if (fd.Accept) field.accept = fd.Accept;
+  field.multiple = maxCount > 1;
+
+  const fieldWrapper = createFieldWrapper(fd);
+  const label = createLabel(fd);
+  field.setAttribute('aria-labelledby', label.id);
+
+  const dropzone = document.createElement('div');
+  dropzone.className = 'file-dropzone';
+  const constraints = [
+    maxSize && `${placeholders.formFileMaxSize || 'Max. size'} ${formatFileSize(maxSize)}`,
+    maxCount > 1 && `${placeholders.formFileMaxCount || 'Max. files'} ${maxCount}`,
+  ].filter((text) => !!text).join(', ');
+  const dropText = document.createElement('p');
+  dropText.textContent = placeholders.formFileDrop || 'Drag files here or click to browse';
+  dropzone.append(field, dropText);
+  if (constraints) {
+    const constraintsText = document.createElement('p');
+    constraintsText.className = 'file-constraints';
+    constraintsText.textContent = constraints;
+    dropzone.append(constraintsText);
+  }
+
+  const list = document.createElement('ul');
+  list.className = 'file-list';
+
+  let files = [];
+  const render = () => {
+    const transfer = new DataTransfer();
+    files.forEach((file) => transfer.items.add(file));
+    field.files = transfer.files;
+
+    list.querySelectorAll('img').forEach((img) => URL.revokeObjectURL(img.src));
+    list.replaceChildren(...files.map((file, idx) => {
+      const li = document.createElement('li');
+      if (file.type.startsWith('image/')) {
+        const img = document.createElement('img');
+        img.src = URL.createObjectURL(file);
+        img.alt = '';
+        li.append(img);
+      }
+      const name = document.createElement('span');
+      name.className = 'file-name';
+      name.textContent = `${file.name} (${formatFileSize(file.size)})`;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'file-remove';
+      remove.setAttribute('aria-label', `${placeholders.formFileRemove || 'Remove'} ${file.name}`);
+      remove.addEventListener('click', () => {
+        files.splice(idx, 1);
+        render();
+        field.focus();
+      });
+      li.append(name, remove);
+      return li;
+    }));
+  };
+
+  const addFiles = (added) => {
+    clearFieldError(field);
+    const errors = [];
+    let replaced = false;
+    [...added].forEach((file) => {
+      if (!matchesAccept(file, fd.Accept)) {
+        errors.push(`${file.name}: ${placeholders.formFileType || 'this file type is not allowed'}`);
+      } else if (maxSize && file.size > maxSize) {
+        errors.push(`${file.name}: ${placeholders.formFileTooLarge || 'the file is too large'}`);
+      } else if (!field.multiple && !replaced) {
+        // a single file field keeps the first of the added files
+        files = [file];
+        replaced = true;
+      } else if (!field.multiple || files.length >= maxCount) {
+        errors.push(`${file.name}: ${placeholders.formFileTooMany || 'too many files'}`);
+      } else if (!files.some((f) => f.name === file.name && f.size === file.size)) {
+        files.push(file);
+      }
+    });
+    render();
+    if (errors.length) setFieldError(field, errors.join(' '));
+  };
+
+  // a new selection replaces the input files, the previously added ones are put back by render()
+  field.addEventListener('change', () => addFiles(field.files));
+  dropzone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    dropzone.classList.add('dragover');
+  });
+  dropzone.addEventListener('dragleave', () => dropzone.classList.remove('dragover'));
+  dropzone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    dropzone.classList.remove('dragover');
+    addFiles(e.dataTransfer.files);
+  });
+  form.addEventListener('reset', () => {
+    files = [];
+    render();
+  });
+
+  fieldWrapper.append(label, dropzone, list);
+  return { field, fieldWrapper };
+};
+
+/**
+ * A fieldset with add and remove controls, repeating the fields of its group.
+ * The Min and Max columns limit the number of items. The fields of item n are
+ * named group[n][name] and their ids are unique, see generateFieldId().
+ */
+const createRepeatable = async (fd, form) => {
+  const placeholders = await fetchPlaceholders();
+  const { field, fieldWrapper } = createFieldset({ ...fd, Min: '', Max: '' });
+  field.classList.add('repeatable');
+  const min = parseInt(fd.Min, 10) || 0;
+  const max = parseInt(fd.Max, 10) || Infinity;
+
+  const add = document.createElement('button');
+  add.type = 'button';
+  add.className = 'button secondary repeatable-add';
+  add.textContent = placeholders.formAddItem || 'Add another';
+  field.append(add);
+
+  const getItems = () => [...field.querySelectorAll(':scope > .repeatable-item')];
+  // block-authored rows of the group are edited on the fields of its first item,
+  // this tracks which element has the instrumentation of each row
+  const instrumented = fd.Fields.map((row) => row.Row);
+  const moveRowInstrumentation = (item) => {
+    instrumented.forEach((holder, i) => {
+      const wrapper = item.wrappers[i];
+      if (!holder || !wrapper || holder === wrapper) return;
+      moveInstrumentation(holder, wrapper);
+      instrumented[i] = wrapper;
+    });
+  };
+  const update = () => {
+    const items = getItems();
+    if (items.length) moveRowInstrumentation(items[0]);
+    items.forEach((item, index) => {
+      item.querySelectorAll('[data-name]').forEach((el) => {
+        el.name = `${fd.Name}[${index}][${el.dataset.name}]`;
+      });
+      item.querySelector('.repeatable-remove').disabled = items.length <= min;
+    });
+    add.disabled = items.length >= max;
+  };
+
+  const addItem = async () => {
+    const item = document.createElement('div');
+    item.className = 'repeatable-item';
+    // eslint-disable-next-line no-use-before-define
+    const wrappers = await Promise.all(fd.Fields.map((row) => createField({ ...row, Id: '' }, form)));
+    item.wrappers = wrappers;
+    wrappers.filter((wrapper) => !!wrapper).forEach((wrapper) => {
+      // keeps the fields in the item when createForm() groups fieldsets
+      delete wrapper.dataset.fieldset;
+      item.append(wrapper);
+    });
+    item.querySelectorAll('[name]').forEach((el) => { el.dataset.name = el.name; });
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'button secondary repeatable-remove';
+    remove.textContent = placeholders.formRemoveItem || 'Remove';
+    remove.addEventListener('click', () => {
+      item.remove();
+      update();
+      add.focus();
+      form.dispatchEvent(new Event('change'));
+    });
+    item.append(remove);
+
+    add.before(item);
+    update();
+    form.dispatchEvent(new Event('change'));
+    return item;
+  };
+
+  add.addEventListener('click', async () => {
+    const item = await addItem();
+    item.querySelector('input, select, textarea')?.focus();
+  });
+
+  // used to restore kept values, see restoreForm()
+  field.setItemCount = async (count) => {
+    const target = Math.min(Math.max(count, min), max);
+    while (getItems().length > target) getItems().pop().remove();
+    // eslint-disable-next-line no-await-in-loop
+    while (getItems().length < target) await addItem();
+    update();
+  };
+  await field.setItemCount(Math.max(min, 1));
+
+  return { field, fieldWrapper };
+};
+
 const FIELD_CREATOR_FUNCTIONS = {
   select: createSelect,
   heading: createHeading,
@@ -224,6 +524,8 @@ const FIELD_CREATOR_FUNCTIONS = {
   fieldset: createFieldset,
   checkbox: createCheckbox,
   radio: createRadio,
+  file: createFile,
+  repeatable: createRepeatable,
 };
 
 export default async function createField(fd, form) {
@@ -0,0 +1,89 @@
+/*
+ * Spam protection for the form block.
+ * Submissions with a filled in honeypot field are dropped, submissions sent
+ * faster than a person could fill in the form are flagged in the payload.
+ * A CAPTCHA provider can be plugged in with the form-challenge metadata, set to
+ * the path of a module in the code base, e.g. /scripts/challenges/turnstile.js,
+ * or the name of a module in /scripts/challenges/, e.g. turnstile.
+ * The module may export init(form), run when the form is created, and its
+ * default export resolves to the fields to add to the payload, e.g. the token.
+ */
+
+import { getMetadata } from '../../scripts/aem.js';
+
+const HONEYPOT_NAME = 'website';
+const MIN_SUBMIT_TIME = 3000;
+
+let honeypots = 0;
+let challenge;
+
+/**
+ * Resolves the form-challenge metadata to a module path in the code base.
+ * @param {string} value the metadata value
+ * @returns {string|null} the path, or null if it could point at another host
+ */
+function getChallengePath(value) {
+  if (/^[\w-]+$/.test(value)) return `/scripts/challenges/${value}.js`;
+  // a single leading slash, //host/x.js or /\host/x.js would load from another site
+  if (/^\/[\w-]+(\/[\w.-]+)*\.js$/.test(value)) return value;
+  return null;
+}
+
+function loadChallenge() {
+  const value = getMetadata('form-challenge');
+  if (!value) return Promise.resolve(null);
+  const path = getChallengePath(value);
+  if (!path) {
+    // eslint-disable-next-line no-console
+    console.error(`invalid form challenge ${value}`);
+    return Promise.resolve(null);
+  }
+  challenge = challenge || import(`${window.hlx.codeBasePath}${path}`).catch((error) => {
+    // eslint-disable-next-line no-console
+    console.log(`failed to load form challenge ${path}`, error);
+    return null;
+  });
+  return challenge;
+}
+
+function createHoneypot() {
+  honeypots += 1;
+  const id = `form-${HONEYPOT_NAME}-${honeypots}`;
+  const honeypot = document.createElement('div');
+  honeypot.className = 'form-honeypot';
+  honeypot.setAttribute('aria-hidden', 'true');
+  honeypot.innerHTML = `<label for="${id}">Website</label>
+    <input type="text" id="${id}" name="${HONEYPOT_NAME}" tabindex="-1" autocomplete="off">`;
+  return honeypot;
+}
+
+/**
+ * Checks a submission of the form.
+ * @param {HTMLFormElement} form the form
+ * @returns {Promise<Object>} drop, true if the submission should not be sent,
+ * and the fields to add to the payload
+ */
+export async function checkSpam(form) {
+  const honeypot = form.querySelector('.form-honeypot input');
+  if (honeypot?.value) return { drop: true, fields: {} };
+
+  const fields = {};
+  if (Date.now() - Number(form.dataset.startedAt) < MIN_SUBMIT_TIME) fields.spam = 'too-fast';
+
+  const mod = await loadChallenge();
+  if (mod?.default) Object.assign(fields, await mod.default(form));
+  return { drop: false, fields };
+}
+
+/**
+ * Adds the honeypot field and starts the time trap of a form, and
+ * initializes the challenge provider if there is one.
+ * @param {HTMLFormElement} form the form
+ */
+export default async function initSpamProtection(form) {
+  if (!form.elements.namedItem(HONEYPOT_NAME)) form.prepend(createHoneypot());
+  form.dataset.startedAt = Date.now();
+
+  const mod = await loadChallenge();
+  if (mod?.init) await mod.init(form);
+}
@@ -0,0 +1,94 @@
+/*
+ * Reads and writes the values of a form, for keeping them across page loads.
+ */
+
+// values that are never kept in browser storage
+const SKIPPED_TYPES = ['file', 'password', 'submit', 'button', 'hidden'];
+
+// fields can opt out with the Persist column, see setCommonAttributes()
+function isKept(field) {
+  return !!field.name && !SKIPPED_TYPES.includes(field.type) && field.dataset.persist !== 'false';
+}
+
+/**
+ * Gets the storage key of a form, unique per form definition.
+ * @param {HTMLFormElement} form the form
+ * @param {string} prefix the feature storing the form
+ * @returns {string} the key
+ */
+export function getFormKey(form, prefix) {
+  return `${prefix}:${form.dataset.source || window.location.pathname}`;
+}
+
+/**
+ * Serializes the values of the named fields of a form.
+ * @param {HTMLFormElement} form the form
+ * @returns {Object} values by field name, checked values as arrays for radios and checkboxes
+ */
+export function serializeForm(form) {
+  return [...form.elements].reduce((values, field) => {
+    if (!isKept(field)) return values;
+    if (field.type === 'radio' || field.type === 'checkbox') {
+      values[field.name] = values[field.name] || [];
+      if (field.checked) values[field.name].push(field.value);
+    } else {
+      values[field.name] = field.value;
+    }
+    return values;
+  }, {});
+}
+
+/**
+ * Restores serialized values into a form.
+ * @param {HTMLFormElement} form the form
+ * @param {Object} values the values from serializeForm()
+ */
+export async function restoreForm(form, values) {
+  // repeatable groups need an item for each kept one first
+  await Promise.all([...form.querySelectorAll('fieldset.repeatable')].map((group) => {
+    const prefix = `${group.name}[`;
+    const count = Object.keys(values)
+      .filter((name) => name.startsWith(prefix))
+      .reduce((acc, name) => Math.max(acc, parseInt(name.slice(prefix.length), 10) + 1), 0);
+    return count ? group.setItemCount(count) : null;
+  }));
+  [...form.elements].forEach((field) => {
+    if (!isKept(field) || !(field.name in values)) return;
+    const value = values[field.name];
+    if (field.type === 'radio' || field.type === 'checkbox') {
+      field.checked = [].concat(value).includes(field.value);
+    } else {
+      field.value = value;
+    }
+  });
+  form.dispatchEvent(new Event('change'));
+}
+
+/**
+ * Reads a JSON value from a storage, ignoring storage errors.
+ * @param {Storage} storage sessionStorage or localStorage
+ * @param {string} key the key
+ * @returns {*} the value, null if missing
+ */
+export function readStorage(storage, key) {
+  try {
+    return JSON.parse(storage.getItem(key));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Writes a JSON value to a storage, ignoring storage errors.
+ * @param {Storage} storage sessionStorage or localStorage
+ * @param {string} key the key
+ * @param {*} value the value, removes the key if null
+ */
+export function writeStorage(storage, key, value) {
+  try {
+    if (value === null) storage.removeItem(key);
+    else storage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    // storage is full or disabled, nothing is kept
+  }
+}
@@ -0,0 +1,121 @@
+/*
+ * Inline validation for the form block.
+ * Fields are checked with the constraint validation API on blur and on submit,
+ * and errors are shown below the field instead of the native bubbles.
+ * The messages come from placeholders, where {value} is replaced with the
+ * constraint, e.g. "Please enter at least {value} characters."
+ */
+
+import { fetchPlaceholders } from '../../scripts/placeholders.js';
+import { clearFieldError, setFieldError } from './form-fields.js';
+
+// validity states in the order they are reported, with their placeholder and default message
+const MESSAGES = [
+  ['valueMissing', 'formErrorRequired', 'Please fill in this field.'],
+  ['typeMismatch', 'formErrorType', 'Please enter a valid value.'],
+  ['badInput', 'formErrorType', 'Please enter a valid value.'],
+  ['patternMismatch', 'formErrorPattern', 'Please match the requested format.'],
+  ['rangeUnderflow', 'formErrorMin', 'Please enter a value of at least {value}.'],
+  ['rangeOverflow', 'formErrorMax', 'Please enter a value of at most {value}.'],
+  ['tooShort', 'formErrorMinLength', 'Please enter at least {value} characters.'],
+  ['tooLong', 'formErrorMaxLength', 'Please enter at most {value} characters.'],
+  ['stepMismatch', 'formErrorType', 'Please enter a valid value.'],
+];
+
+const CONSTRAINTS = {
+  rangeUnderflow: 'min',
+  rangeOverflow: 'max',
+  tooShort: 'minlength',
+  tooLong: 'maxlength',
+};
+
+let placeholders = {};
+
+function getLabel(field) {
+  const label = field.labels?.[0] || field.closest('fieldset')?.querySelector('legend');
+  return label?.textContent.trim() || field.name;
+}
+
+/**
+ * Applies the cross-field rule of a field, set with the Match column.
+ * @param {Element} field the field element
+ */
+function checkMatch(field) {
+  if (!field.dataset.match) return;
+  const other = [...field.form.elements].find((el) => el.name === field.dataset.match);
+  const matches = !other || !field.value || field.value === other.value;
+  const message = (placeholders.formErrorMatch || 'Please enter the same value as {value}.')
+    .replace('{value}', other ? getLabel(other) : '');
+  field.setCustomValidity(matches ? '' : message);
+}
+
+function getMessage(field) {
+  const { validity } = field;
+  if (validity.customError) return field.validationMessage;
+  if (validity.typeMismatch && field.type === 'email' && placeholders.formErrorEmail) {
+    return placeholders.formErrorEmail;
+  }
+  const [state, key, fallback] = MESSAGES.find(([name]) => validity[name]) || [];
+  if (!state) return field.validationMessage;
+  return (placeholders[key] || fallback).replace('{value}', field.getAttribute(CONSTRAINTS[state]) || '');
+}
+
+/**
+ * Validates a field and shows or clears its error.
+ * @param {Element} field the field element
+ * @returns {boolean} true if the field is valid
+ */
+export function validateField(field) {
+  checkMatch(field);
+  if (field.checkValidity()) {
+    clearFieldError(field);
+    return true;
+  }
+  setFieldError(field, getMessage(field));
+  return false;
+}
+
+/**
+ * Validates the enabled fields in a container, focusing the first invalid one.
+ * @param {Element} container the form, or a part of it
+ * @returns {boolean} true if all fields are valid
+ */
+export function validateFields(container) {
+  const fields = [...container.querySelectorAll('input, select, textarea')]
+    .filter((field) => !field.disabled && field.willValidate);
+  const invalid = fields.filter((field) => !validateField(field));
+  if (invalid.length) {
+    invalid[0].focus();
+    invalid[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Turns off the native validation bubbles of a form and validates its fields
+ * on blur. Fields with an error are validated again while they are edited.
+ * @param {HTMLFormElement} form the form
+ */
+export default async function initValidation(form) {
+  placeholders = await fetchPlaceholders();
+  form.noValidate = true;
+
+  form.addEventListener('focusout', (e) => {
+    const field = e.target;
+    // file errors are shown when files are added, see createFile()
+    if (!field.willValidate || field.type === 'file') return;
+    // radios and checkboxes are validated once focus leaves their group
+    if (['radio', 'checkbox'].includes(field.type) && e.relatedTarget?.name === field.name) return;
+    validateField(field);
+  });
+  form.addEventListener('input', (e) => {
+    const field = e.target;
+    if (field.type === 'file') return;
+    if (field.getAttribute('aria-invalid') === 'true') validateField(field);
+    // re-check the fields that must match the edited one
+    [...form.elements]
+      .filter((el) => el.dataset.match === field.name && el.getAttribute('aria-invalid') === 'true')
+      .forEach(validateField);
+  });
+}
@@ -0,0 +1,133 @@
+/*
+ * Wizard mode for the form block.
+ * Each top level fieldset becomes a step with back and next buttons, validated
+ * before moving on. The current step and the entered values are kept in
+ * sessionStorage, so reloading the page does not lose them.
+ */
+
+import { fetchPlaceholders } from '../../scripts/placeholders.js';
+import {
+  getFormKey, readStorage, restoreForm, serializeForm, writeStorage,
+} from './form-state.js';
+import { validateFields } from './form-validation.js';
+
+const STORAGE_PREFIX = 'form-wizard';
+
+function getSteps(form) {
+  // steps hidden by a field condition are skipped
+  return [...form.querySelectorAll(':scope > .fieldset-wrapper')].filter((step) => !step.hidden);
+}
+
+function getActiveIndex(form) {
+  return getSteps(form).findIndex((step) => step.classList.contains('active'));
+}
+
+function saveState(form) {
+  writeStorage(sessionStorage, getFormKey(form, STORAGE_PREFIX), {
+    step: Math.max(getActiveIndex(form), 0),
+    values: serializeForm(form),
+  });
+}
+
+function showStep(form, index, placeholders) {
+  const steps = getSteps(form);
+  const current = Math.min(Math.max(index, 0), steps.length - 1);
+  form.querySelectorAll(':scope > .fieldset-wrapper').forEach((step) => {
+    step.classList.toggle('active', step === steps[current]);
+  });
+
+  const isFirst = current === 0;
+  const isLast = current === steps.length - 1;
+  form.querySelector('.form-wizard-back').hidden = isFirst;
+  form.querySelector('.form-wizard-next').hidden = isLast;
+  form.classList.toggle('form-wizard-last-step', isLast);
+
+  const progress = form.querySelector('.form-wizard-progress progress');
+  progress.max = steps.length;
+  progress.value = current + 1;
+  const stepText = `${placeholders.formStep || 'Step'} ${current + 1} ${placeholders.of || 'of'} ${steps.length}`;
+  const legend = steps[current]?.querySelector('legend')?.textContent;
+  form.querySelector('.form-wizard-progress p').textContent = legend ? `${stepText}: ${legend}` : stepText;
+  progress.setAttribute('aria-label', stepText);
+}
+
+/**
+ * Clears the kept wizard state of a form, e.g. after it was submitted.
+ * @param {HTMLFormElement} form the form
+ */
+export function clearWizard(form) {
+  writeStorage(sessionStorage, getFormKey(form, STORAGE_PREFIX), null);
+}
+
+/**
+ * Turns the fieldsets of a form into wizard steps.
+ * Must run before the submit handler of the form is attached.
+ * @param {HTMLFormElement} form the form
+ */
+export default async function initWizard(form) {
+  const steps = getSteps(form);
+  if (steps.length < 2) return;
+  const placeholders = await fetchPlaceholders();
+  form.classList.add('form-wizard');
+
+  const progress = document.createElement('div');
+  progress.className = 'form-wizard-progress';
+  progress.innerHTML = '<progress></progress><p aria-live="polite"></p>';
+  form.prepend(progress);
+
+  const nav = document.createElement('div');
+  nav.className = 'form-wizard-nav';
+  const back = document.createElement('button');
+  back.type = 'button';
+  back.className = 'button secondary form-wizard-back';
+  back.textContent = placeholders.formBack || 'Back';
+  const next = document.createElement('button');
+  next.type = 'button';
+  next.className = 'button form-wizard-next';
+  next.textContent = placeholders.formNext || 'Next';
+  nav.append(back, next);
+  steps[steps.length - 1].after(nav);
+
+  const goTo = (index) => {
+    showStep(form, index, placeholders);
+    saveState(form);
+    form.querySelector('.form-wizard-progress').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  };
+  const goNext = () => {
+    const current = getActiveIndex(form);
+    if (validateFields(getSteps(form)[current])) goTo(current + 1);
+  };
+
+  back.addEventListener('click', () => goTo(getActiveIndex(form) - 1));
+  next.addEventListener('click', goNext);
+
+  // enter in a field moves to the next step instead of submitting early
+  form.addEventListener('submit', (e) => {
+    const current = getActiveIndex(form);
+    if (current < getSteps(form).length - 1) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      goNext();
+    }
+  });
+  // go back to the first step with a field that fails validation on submit
+  form.addEventListener('invalid', (e) => {
+    const step = e.target.closest('.fieldset-wrapper');
+    const index = getSteps(form).indexOf(step);
+    if (index >= 0 && index < getActiveIndex(form)) showStep(form, index, placeholders);
+  }, true);
+  // a reset form starts over at the first step, shown by the change event that follows it
+  form.addEventListener('reset', () => {
+    form.querySelectorAll(':scope > .fieldset-wrapper').forEach((step) => step.classList.remove('active'));
+  });
+  form.addEventListener('input', () => saveState(form));
+  form.addEventListener('change', () => {
+    // conditions may have added or removed steps
+    showStep(form, Math.max(getActiveIndex(form), 0), placeholders);
+    saveState(form);
+  });
+
+  const state = readStorage(sessionStorage, getFormKey(form, STORAGE_PREFIX));
+  if (state?.values) await restoreForm(form, state.values);
+  showStep(form, state?.step || 0, placeholders);
+}
@@ -1,16 +1,62 @@
-import createField from './form-fields.js';
+import createField, { clearFieldError, setFieldError } from './form-fields.js';
+import { fetchPlaceholders } from '../../scripts/placeholders.js';
+import initConditions from './form-conditions.js';
+import initWizard, { clearWizard } from './form-wizard.js';
+import initValidation, { validateFields } from './form-validation.js';
+import initSpamProtection, { checkSpam } from './form-spam.js';
+import initDrafts, { clearDraft } from './form-draft.js';
+import { moveInstrumentation } from '../../scripts/scripts.js';
 
-async function createForm(formHref, submitHref) {
+// the columns of a form sheet, in the order of the cells of a form field row
+const FIELD_COLUMNS = [
+  'Type', 'Name', 'Label', 'Placeholder', 'Value', 'Options', 'Mandatory', 'Fieldset', 'Condition',
+  'Pattern', 'Min', 'Max', 'MinLength', 'MaxLength', 'Match', 'Accept', 'MaxSize', 'MaxCount', 'Persist',
+];
+
+/**
+ * Fetches a form definition from a sheet.
+ * @param {string} formHref the URL of the sheet
+ * @returns {Promise<Object>} the path of the sheet and its field definitions
+ */
+async function fetchDefinition(formHref) {
   const { pathname } = new URL(formHref);
   const resp = await fetch(pathname);
   const json = await resp.json();
+  return { source: pathname, data: json.data };
+}
+
+/**
+ * Reads a form definition authored as block rows, one per field, see _form.json.
+ * @param {Array<Element>} rows the rows, with a cell per column
+ * @returns {Object} the field definitions, as if read from a sheet
+ */
+function readDefinition(rows) {
+  const data = rows.map((row) => {
+    const cells = [...row.children];
+    const fd = Object.fromEntries(FIELD_COLUMNS.map((column, i) => [column, cells[i]?.textContent.trim() || '']));
+    // the row is kept for its instrumentation
+    fd.Row = row;
+    return fd;
+  });
+  return { data };
+}
 
+async function createForm({ source, data }, submitHref) {
   const form = document.createElement('form');
   form.dataset.action = submitHref;
+  if (source) form.dataset.source = source;
 
-  const fields = await Promise.all(json.data.map((fd) => createField(fd, form)));
-  fields.forEach((field) => {
+  // the fields of a repeatable group are created for each of its items
+  const groups = data.filter((fd) => fd.Type.toLowerCase() === 'repeatable');
+  groups.forEach((group) => {
+    group.Fields = data.filter((fd) => fd.Fieldset === group.Name);
+  });
+  const rows = data.filter((fd) => !groups.some((group) => group.Name === fd.Fieldset));
+  const fields = await Promise.all(rows.map((fd) => createField(fd, form)));
+  fields.forEach((field, i) => {
     if (field) {
+      // the rows of repeatable groups are instrumented in createRepeatable()
+      if (rows[i].Row) moveInstrumentation(rows[i].Row, field);
       form.append(field);
     }
   });
@@ -23,80 +69,206 @@ async function createForm(formHref, submitHref) {
     });
   });
 
+  initConditions(form);
+  await initSpamProtection(form);
+  await initDrafts(form);
+
+  const status = document.createElement('div');
+  status.className = 'form-status';
+  status.setAttribute('role', 'status');
+  status.setAttribute('aria-live', 'polite');
+  status.hidden = true;
+  const submitWrapper = form.querySelector('.submit-wrapper');
+  if (submitWrapper) submitWrapper.before(status);
+  else form.append(status);
+
   return form;
 }
 
+/**
+ * Shows the state of the submission in the status region of the form.
+ * @param {HTMLFormElement} form the form
+ * @param {string} state pending, success or error
+ * @param {string} message the message to announce
+ */
+function setStatus(form, state, message) {
+  const status = form.querySelector('.form-status');
+  status.dataset.state = state;
+  status.textContent = message;
+  status.hidden = false;
+}
+
+/**
+ * Maps field errors returned by the server back to the fields.
+ * Accepts { errors: { name: message } } or { errors: [{ field, message }] }.
+ * @param {HTMLFormElement} form the form
+ * @param {Object} body the parsed error response
+ * @returns {Element|undefined} the first field with an error
+ */
+function showServerErrors(form, body) {
+  const errors = Array.isArray(body?.errors)
+    ? body.errors.map(({ field, name, message }) => [field || name, message])
+    : Object.entries(body?.errors || {});
+  return errors.reduce((first, [name, message]) => {
+    const field = [...form.elements].find((el) => el.name === name);
+    if (!field || !message) return first;
+    setFieldError(field, message);
+    return first || field;
+  }, undefined);
+}
+
+function showThankYou(form) {
+  const thankYou = document.createElement('div');
+  thankYou.className = 'form-thank-you';
+  thankYou.setAttribute('role', 'status');
+  thankYou.tabIndex = -1;
+  thankYou.textContent = form.dataset.confirmationMessage;
+  form.replaceWith(thankYou);
+  thankYou.focus();
+}
+
+/**
+ * Gets the object collecting the values of an item of a repeatable group.
+ * @param {Object} payload the payload
+ * @param {Element} item the repeatable item
+ * @returns {Object} the values of the item, in an array named after the group
+ */
+function getItemPayload(payload, item) {
+  const group = item.closest('fieldset.repeatable');
+  const index = [...group.querySelectorAll(':scope > .repeatable-item')].indexOf(item);
+  payload[group.name] = payload[group.name] || [];
+  payload[group.name][index] = payload[group.name][index] || {};
+  return payload[group.name][index];
+}
+
 function generatePayload(form) {
   const payload = {};
 
   [...form.elements].forEach((field) => {
-    if (field.name && field.type !== 'submit' && !field.disabled) {
+    // uploads are sent as multipart parts, see createRequest()
+    if (field.type === 'file' || field.closest('.form-honeypot')) return;
+    // fields hidden by a condition are disabled, and left out here
+    if (field.name && field.type !== 'submit' && !field.disabled && !field.closest('[hidden]')) {
+      const item = field.closest('.repeatable-item');
+      const values = item ? getItemPayload(payload, item) : payload;
+      const name = item ? field.dataset.name : field.name;
       if (field.type === 'radio') {
-        if (field.checked) payload[field.name] = field.value;
+        if (field.checked) values[name] = field.value;
       } else if (field.type === 'checkbox') {
-        if (field.checked) payload[field.name] = payload[field.name] ? `${payload[field.name]},${field.value}` : field.value;
+        if (field.checked) values[name] = values[name] ? `${values[name]},${field.value}` : field.value;
       } else {
-        payload[field.name] = field.value;
+        values[name] = field.value;
       }
     }
   });
   return payload;
 }
 
+/**
+ * Creates the body and headers of the submission: JSON, or multipart FormData
+ * when the form has file uploads.
+ * @param {HTMLFormElement} form the form
+ * @param {Object} fields extra fields to add to the payload
+ * @returns {Object} the fetch options
+ */
+function createRequest(form, fields = {}) {
+  const payload = { ...generatePayload(form), ...fields };
+  const fileFields = [...form.elements].filter((field) => field.type === 'file' && field.name
+    && !field.disabled && !field.closest('[hidden]'));
+  if (!fileFields.length) {
+    return {
+      body: JSON.stringify({ data: payload }),
+      headers: { 'Content-Type': 'application/json' },
+    };
+  }
+
+  // the browser sets the multipart content type with its boundary
+  const body = new FormData();
+  Object.entries(payload).forEach(([name, value]) => {
+    body.append(name, typeof value === 'string' ? value : JSON.stringify(value));
+  });
+  fileFields.forEach((field) => [...field.files].forEach((file) => body.append(field.name, file)));
+  return { body };
+}
+
 async function handleSubmit(form) {
   if (form.getAttribute('data-submitting') === 'true') return;
 
   const submit = form.querySelector('button[type="submit"]');
+  const placeholders = await fetchPlaceholders();
   try {
     form.setAttribute('data-submitting', 'true');
     submit.disabled = true;
+    form.setAttribute('aria-busy', 'true');
+    setStatus(form, 'pending', placeholders.formSubmitting || 'Sending…');
+    form.querySelectorAll('[aria-invalid="true"]').forEach((field) => clearFieldError(field));
 
-    // create payload
-    const payload = generatePayload(form);
-    const response = await fetch(form.dataset.action, {
+    // dropped submissions look successful, so bots do not retry
+    const { drop, fields } = await checkSpam(form);
+    const response = drop ? new Response() : await fetch(form.dataset.action, {
       method: 'POST',
-      body: JSON.stringify({ data: payload }),
-      headers: {
-        'Content-Type': 'application/json',
-      },
+      ...createRequest(form, fields),
     });
     if (response.ok) {
+      clearWizard(form);
+      clearDraft(form);
       if (form.dataset.confirmation) {
         window.location.href = form.dataset.confirmation;
+      } else if (form.dataset.confirmationMessage) {
+        showThankYou(form);
+      } else {
+        form.reset();
+        // reset fires no change, so conditions and the wizard would keep the submitted state
+        form.dispatchEvent(new Event('change'));
+        setStatus(form, 'success', placeholders.formSuccess || 'Thank you, your submission has been received.');
       }
     } else {
       const error = await response.text();
+      let body;
+      try {
+        body = JSON.parse(error);
+      } catch (e) {
+        // not a JSON error, no field errors to show
+      }
+      const firstInvalid = showServerErrors(form, body);
+      setStatus(form, 'error', body?.message || placeholders.formError || 'Something went wrong, please try again.');
+      firstInvalid?.focus();
       throw new Error(error);
     }
   } catch (e) {
+    if (form.querySelector('.form-status')?.dataset.state !== 'error') {
+      setStatus(form, 'error', placeholders.formError || 'Something went wrong, please try again.');
+    }
     // eslint-disable-next-line no-console
     console.error(e);
   } finally {
     form.setAttribute('data-submitting', 'false');
+    form.removeAttribute('aria-busy');
     submit.disabled = false;
   }
 }
 
 export default async function decorate(block) {
-  const links = [...block.querySelectorAll('a')].map((a) => a.href);
+  // rows with a cell per column define fields, the others link the sheet and submit URL
+  const fieldRows = [...block.children].filter((row) => row.children.length > 1);
+  const configRows = [...block.children].filter((row) => !fieldRows.includes(row));
+  const links = [
+    ...configRows.flatMap((row) => [...row.querySelectorAll('a')].map((a) => a.href)),
+    ...configRows.map((row) => row.textContent.trim()).filter((text) => /^https?:\/\//.test(text)),
+  ];
   const formLink = links.find((link) => link.startsWith(window.location.origin) && link.endsWith('.json'));
   const submitLink = links.find((link) => link !== formLink);
-  if (!formLink || !submitLink) return;
+  if (!submitLink || (!formLink && !fieldRows.length)) return;
 
-  const form = await createForm(formLink, submitLink);
+  const definition = formLink ? await fetchDefinition(formLink) : readDefinition(fieldRows);
+  const form = await createForm(definition, submitLink);
   block.replaceChildren(form);
+  await initValidation(form);
+  // the wizard handles submits of its earlier steps, so it goes first
+  if (block.classList.contains('wizard')) await initWizard(form);
 
   form.addEventListener('submit', (e) => {
     e.preventDefault();
-    const valid = form.checkValidity();
-    if (valid) {
-      handleSubmit(form);
-    } else {
-      const firstInvalidEl = form.querySelector(':invalid:not(fieldset)');
-      if (firstInvalidEl) {
-        firstInvalidEl.focus();
-        firstInvalidEl.scrollIntoView({ behavior: 'smooth' });
-      }
-    }
+    if (validateFields(form)) handleSubmit(form);
   });
 }
@@ -6,6 +6,8 @@
 
 import {
   decorateMain,
+  getRootLocalePath,
+  loadWidgets,
 } from '../../scripts/scripts.js';
 
 import {
@@ -13,7 +15,7 @@ import {
 } from '../../scripts/aem.js';
 
 /**
- * Loads a fragment.
+ * Loads a fragment, falling back to the root locale if it is not translated.
  * @param {string} path The path to the fragment
  * @returns {Promise<HTMLElement>} The root element of the fragment
  */
@@ -21,7 +23,13 @@ export async function loadFragment(path) {
   if (path && path.startsWith('/')) {
     // eslint-disable-next-line no-param-reassign
     path = path.replace(/(\.plain)?\.html/, '');
-    const resp = await fetch(`${path}.plain.html`);
+    let resp = await fetch(`${path}.plain.html`);
+    const rootPath = getRootLocalePath(path);
+    if (!resp.ok && rootPath !== path) {
+      // eslint-disable-next-line no-param-reassign
+      path = rootPath;
+      resp = await fetch(`${path}.plain.html`);
+    }
     if (resp.ok) {
       const main = document.createElement('main');
       main.innerHTML = await resp.text();
@@ -36,6 +44,7 @@ export async function loadFragment(path) {
       resetAttributeBase('source', 'srcset');
 
       decorateMain(main);
+      await loadWidgets(main);
       await loadSections(main);
       return main;
     }
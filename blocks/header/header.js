@@ -1,16 +1,20 @@
 /* This includes nav and breadcrumbs
  */
 
-import { getMetadata } from '../../scripts/aem.js';
+import {
+  buildBlock, decorateBlock, getMetadata, loadBlock,
+} from '../../scripts/aem.js';
 import { loadFragment } from '../fragment/fragment.js';
 import { fetchPlaceholders } from '../../scripts/placeholders.js';
+import { getConfig, localizePath } from '../../scripts/scripts.js';
 
 // media query match that indicates mobile/tablet width
 const isDesktop = window.matchMedia('(min-width: 900px)');
 
 function closeOnEscape(e) {
   if (e.code === 'Escape') {
-    const nav = document.getElementById('nav');
+    // eslint-disable-next-line no-use-before-define
+    const { nav } = currentNav;
     const navSections = nav.querySelector('.nav-sections');
     const navSectionExpanded = navSections.querySelector('[aria-expanded="true"]');
     if (navSectionExpanded && isDesktop.matches) {
@@ -92,11 +96,9 @@ function getDirectTextContent(menuItem) {
     .join(' ');
 }
 
-async function buildBreadcrumbsFromNavTree(nav, currentUrl) {
+async function buildBreadcrumbsFromNavTree(nav, currentUrl, homeUrl) {
   const crumbs = [];
 
-  const homeUrl = document.querySelector('.nav-brand a[href]').href;
-
   let menuItem = Array.from(nav.querySelectorAll('a')).find((a) => a.href === currentUrl);
   if (menuItem) {
     do {
@@ -121,11 +123,20 @@ async function buildBreadcrumbsFromNavTree(nav, currentUrl) {
   return crumbs;
 }
 
-async function buildBreadcrumbs() {
+/**
+ * Builds the breadcrumbs of the current page from a nav
+ * @param {Element} block The header block, the nav of an earlier header can still be in the page
+ * @returns {Promise<Element>} the breadcrumbs
+ */
+async function buildBreadcrumbs(block) {
   const breadcrumbs = document.createElement('nav');
   breadcrumbs.className = 'breadcrumbs';
 
-  const crumbs = await buildBreadcrumbsFromNavTree(document.querySelector('.nav-sections'), document.location.href);
+  const crumbs = await buildBreadcrumbsFromNavTree(
+    block.querySelector('.nav-sections'),
+    document.location.href,
+    block.querySelector('.nav-brand a[href]').href,
+  );
 
   const ol = document.createElement('ol');
   ol.append(...crumbs.map((item) => {
@@ -188,6 +199,43 @@ function toggleMenu(nav, navSections, forceExpanded = null) {
   }
 }
 
+// the nav that follows the viewport size. The header can be decorated again in the editor,
+// so the listener is added once and always toggles the latest nav
+let currentNav;
+isDesktop.addEventListener('change', () => {
+  if (currentNav) toggleMenu(currentNav.nav, currentNav.navSections, isDesktop.matches);
+});
+
+/**
+ * Gets the state of the nav, to keep it when the header is rendered again in the editor.
+ * @param {Element} block The header block element
+ * @returns {Object} whether the mobile menu and each nav section are expanded
+ */
+export function getEditorState(block) {
+  const nav = block.querySelector('nav');
+  return {
+    expanded: nav?.getAttribute('aria-expanded') === 'true',
+    sections: [...block.querySelectorAll('.nav-sections .default-content-wrapper > ul > li')]
+      .map((section) => section.getAttribute('aria-expanded') === 'true'),
+  };
+}
+
+/**
+ * Expands the mobile menu and the nav sections that were expanded before.
+ * @param {Element} block The header block element
+ * @param {Object} state the state from getEditorState()
+ */
+export function restoreEditorState(block, state) {
+  const nav = block.querySelector('nav');
+  const navSections = nav?.querySelector('.nav-sections');
+  if (!navSections) return;
+  // on desktop the nav is always expanded
+  if (state.expanded && !isDesktop.matches) toggleMenu(nav, navSections, true);
+  navSections.querySelectorAll(':scope .default-content-wrapper > ul > li').forEach((section, i) => {
+    if (section.classList.contains('nav-drop')) section.setAttribute('aria-expanded', !!state.sections[i]);
+  });
+}
+
 /**
  * loads and decorates the header, mainly the nav
  * @param {Element} block The header block element
@@ -195,7 +243,7 @@ function toggleMenu(nav, navSections, forceExpanded = null) {
 export default async function decorate(block) {
   // load nav as fragment
   const navMeta = getMetadata('nav');
-  const navPath = navMeta ? new URL(navMeta, window.location).pathname : '/nav';
+  const navPath = localizePath(navMeta ? new URL(navMeta, window.location).pathname : '/nav');
   const fragment = await loadFragment(navPath);
 
   // decorate nav DOM
@@ -251,6 +299,22 @@ export default async function decorate(block) {
     });
   }
 
+  // add search suggestions and a language switcher to the tools,
+  // unless the nav already has them authored
+  const navTools = nav.querySelector('.nav-tools');
+  const addToolBlock = (name, ...variants) => {
+    if (!navTools || navTools.querySelector(`.${name}`)) return;
+    const toolBlock = buildBlock(name, '');
+    toolBlock.classList.add(...variants);
+    const toolWrapper = document.createElement('div');
+    toolWrapper.append(toolBlock);
+    navTools.append(toolWrapper);
+    decorateBlock(toolBlock);
+    loadBlock(toolBlock);
+  };
+  addToolBlock('search', 'suggestions');
+  if (Object.keys(getConfig().locales).length > 1) addToolBlock('language-switcher');
+
   // hamburger for mobile
   const hamburger = document.createElement('div');
   hamburger.classList.add('nav-hamburger');
@@ -260,9 +324,11 @@ export default async function decorate(block) {
   hamburger.addEventListener('click', () => toggleMenu(nav, navSections));
   nav.prepend(hamburger);
   nav.setAttribute('aria-expanded', 'false');
-  // prevent mobile nav behavior on window resize
+  // prevent mobile nav behavior on window resize,
+  // this also resets the listeners and scroll lock of a nav decorated before
+  window.removeEventListener('keydown', closeOnEscape);
   toggleMenu(nav, navSections, isDesktop.matches);
-  isDesktop.addEventListener('change', () => toggleMenu(nav, navSections, isDesktop.matches));
+  currentNav = { nav, navSections };
 
   const navWrapper = document.createElement('div');
   navWrapper.className = 'nav-wrapper';
@@ -271,6 +337,6 @@ export default async function decorate(block) {
 
   // add breadcrumbs to the nav wrapper if the metadata is set to true
   if (getMetadata('breadcrumbs').toLowerCase() === 'true') {
-    navWrapper.append(await buildBreadcrumbs());
+    navWrapper.append(await buildBreadcrumbs(block));
   }
 }
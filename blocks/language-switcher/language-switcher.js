@@ -0,0 +1,104 @@
+/*
+ * Language Switcher Block
+ * Lists the configured locales and links to the current page in each of them
+ */
+
+import { fetchPlaceholders } from '../../scripts/placeholders.js';
+import { getConfig, getRootLocalePath } from '../../scripts/scripts.js';
+import { fetchQueryIndex } from '../../scripts/query-index.js';
+
+let indexedPaths;
+
+/**
+ * Gets the paths of all published pages, fetched once per page view.
+ * @returns {Promise<Set<string>|null>} the indexed paths, null if the index is unavailable
+ */
+function getIndexedPaths() {
+  if (!indexedPaths) {
+    indexedPaths = fetchQueryIndex()
+      .then((data) => (data.length ? new Set(data.map(({ path }) => path)) : null));
+  }
+  return indexedPaths;
+}
+
+/**
+ * Gets the display name of a locale in its own language
+ * @param {Object} locale the locale config
+ * @returns {string} the label, e.g. Deutsch
+ */
+function getLocaleLabel({ label, lang }) {
+  if (label) return label;
+  try {
+    const name = new Intl.DisplayNames([lang], { type: 'language' }).of(lang);
+    return name.charAt(0).toLocaleUpperCase(lang) + name.slice(1);
+  } catch (e) {
+    return lang;
+  }
+}
+
+/**
+ * Maps the current page to its equivalent in a locale,
+ * falling back to the locale home page when it is not translated.
+ * @param {string} prefix the locale prefix
+ * @param {string} rootPath the current path without locale prefix
+ * @param {Set<string>|null} paths the indexed paths
+ * @returns {string} the localized path
+ */
+function getLocalePath(prefix, rootPath, paths) {
+  const path = `${prefix}${rootPath}`;
+  if (!paths || paths.has(path)) return path;
+  return `${prefix}/`;
+}
+
+function toggleList(button, list, expanded) {
+  button.setAttribute('aria-expanded', expanded);
+  list.hidden = !expanded;
+}
+
+export default async function decorate(block) {
+  const { locales, locale: current } = getConfig();
+  const rootPath = getRootLocalePath(window.location.pathname);
+  const [placeholders, paths] = await Promise.all([fetchPlaceholders(), getIndexedPaths()]);
+
+  const listId = `language-switcher-${document.querySelectorAll('.language-switcher-list').length}`;
+  const list = document.createElement('ul');
+  list.className = 'language-switcher-list';
+  list.id = listId;
+  list.hidden = true;
+  Object.entries(locales).forEach(([prefix, locale]) => {
+    if (!locale.lang) return;
+    const li = document.createElement('li');
+    const a = document.createElement('a');
+    a.href = getLocalePath(prefix, rootPath, paths);
+    a.hreflang = locale.lang;
+    a.lang = locale.lang;
+    a.textContent = getLocaleLabel(locale);
+    if (prefix === current.prefix) a.setAttribute('aria-current', 'true');
+    li.append(a);
+    list.append(li);
+  });
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'language-switcher-button';
+  button.textContent = (current.lang || '').toUpperCase();
+  button.setAttribute('aria-label', placeholders.languageSwitcherLabel || 'Choose language');
+  button.setAttribute('aria-controls', listId);
+  button.setAttribute('aria-expanded', 'false');
+  button.addEventListener('click', () => {
+    toggleList(button, list, button.getAttribute('aria-expanded') !== 'true');
+  });
+
+  block.addEventListener('keydown', (e) => {
+    if (e.code === 'Escape' && !list.hidden) {
+      e.stopPropagation();
+      toggleList(button, list, false);
+      button.focus();
+    }
+  });
+  block.addEventListener('focusout', (e) => {
+    if (!block.contains(e.relatedTarget)) toggleList(button, list, false);
+  });
+
+  block.replaceChildren(button, list);
+}
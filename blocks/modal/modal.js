@@ -2,6 +2,7 @@ import { loadFragment } from '../fragment/fragment.js';
 import {
   buildBlock, decorateBlock, loadBlock, loadCSS,
 } from '../../scripts/aem.js';
+import { MODAL_HASH } from '../../scripts/scripts.js';
 
 /*
   This is not a traditional block, so there is no decorate function.
@@ -60,12 +61,61 @@ export async function createModal(contentNodes) {
   };
 }
 
-export async function openModal(fragmentUrl) {
+/**
+ * Gets whether the modal is open, to keep it open when main is re-rendered in the editor.
+ * @param {Element} block The modal block element
+ * @returns {boolean} true if the dialog is open
+ */
+export function getEditorState(block) {
+  return !!block.querySelector('dialog')?.open;
+}
+
+/**
+ * Shows the dialog as a modal again after the block was moved to the re-rendered main.
+ * @param {Element} block The modal block element
+ * @param {boolean} state true if the dialog was open
+ */
+export function restoreEditorState(block, state) {
+  const dialog = block.querySelector('dialog');
+  // a moved dialog keeps its open attribute, but is no longer modal
+  if (state && dialog && !dialog.matches(':modal')) {
+    dialog.removeAttribute('open');
+    dialog.showModal();
+  }
+}
+
+/**
+ * Shows the dialog of an element selected in the editor.
+ * @param {Element} block The modal block element
+ */
+export function revealEditorItem(block) {
+  const dialog = block.querySelector('dialog');
+  if (dialog && !dialog.open) dialog.showModal();
+}
+
+/**
+ * Opens a fragment in a modal and reflects it in the URL hash for deep-linking.
+ * @param {string} fragmentUrl The URL or path of the modal fragment
+ * @param {Element} [trigger] The element to return focus to when the modal closes
+ */
+export async function openModal(fragmentUrl, trigger) {
   const path = fragmentUrl.startsWith('http')
     ? new URL(fragmentUrl, window.location).pathname
     : fragmentUrl;
 
   const fragment = await loadFragment(path);
-  const { showModal } = await createModal(fragment.childNodes);
+  if (!fragment) return;
+  const { block, showModal } = await createModal(fragment.childNodes);
+
+  const { pathname, search } = window.location;
+  const modalHash = `${MODAL_HASH}${path}`;
+  window.history.replaceState(null, '', `${pathname}${search}${modalHash}`);
+  block.querySelector('dialog').addEventListener('close', () => {
+    if (window.location.hash === modalHash) {
+      window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+    }
+    trigger?.focus();
+  });
+
   showModal();
 }
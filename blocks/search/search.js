@@ -1,11 +1,27 @@
 import {
   createOptimizedPicture,
   decorateIcons,
-  fetchPlaceholders,
 } from '../../scripts/aem.js';
+import { fetchPlaceholders } from '../../scripts/placeholders.js';
+import { fetchQueryIndex } from '../../scripts/query-index.js';
+import { getConfig, localizePath } from '../../scripts/scripts.js';
 
 const searchParams = new URLSearchParams(window.location.search);
 
+// how much a match in each index column counts towards the relevance score
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  description: 1,
+  path: 1,
+};
+
+// facets shown when the block does not configure any
+const DEFAULT_FACETS = ['section', 'tags'];
+
+// number of matches listed in the suggestions dropdown
+const SUGGESTIONS_LIMIT = 5;
+
 function findNextHeading(el) {
   let preceedingEl = el.parentElement.previousElement || el.parentElement.parentElement;
   let h = 'H2';
@@ -65,24 +81,6 @@ function highlightTextElements(terms, elements) {
   });
 }
 
-export async function fetchData(source) {
-  const response = await fetch(source);
-  if (!response.ok) {
-    // eslint-disable-next-line no-console
-    console.error('error loading API response', response);
-    return null;
-  }
-
-  const json = await response.json();
-  if (!json) {
-    // eslint-disable-next-line no-console
-    console.error('empty API response', source);
-    return null;
-  }
-
-  return json.data;
-}
-
 function renderResult(result, searchTerms, titleTag) {
   const li = document.createElement('li');
   const a = document.createElement('a');
@@ -114,9 +112,135 @@ function renderResult(result, searchTerms, titleTag) {
   return li;
 }
 
+/**
+ * Reduces a word to its stem, so that e.g. "searching" and "searches" match "search".
+ * @param {string} word lowercase word
+ * @returns {string} the stem
+ */
+function stem(word) {
+  if (word.length < 4) return word;
+  const rules = [[/ies$/, 'y'], [/sses$/, 'ss'], [/(ch|sh|x|z)es$/, '$1'], [/ing$/, ''], [/ed$/, ''], [/ly$/, ''], [/([^s])s$/, '$1']];
+  const [pattern, replacement] = rules.find(([rule]) => rule.test(word)) || [];
+  if (!pattern) return word;
+  const stemmed = word.replace(pattern, replacement);
+  return stemmed.length >= 3 ? stemmed : word;
+}
+
+/**
+ * Splits a text into stemmed search tokens.
+ * @param {string} text the text to tokenize
+ * @returns {Array<string>} the tokens
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return `${text}`.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter((word) => !!word).map(stem);
+}
+
+/**
+ * Builds an inverted index of token to matching rows and their field weights.
+ * @param {Array<Object>} data the query index rows
+ * @returns {Object} the search index
+ */
+function buildSearchIndex(data) {
+  const tokens = new Map();
+  data.forEach((row, idx) => {
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      const text = field === 'path' ? row.path?.split('/').pop() : row[field];
+      tokenize(text).forEach((token) => {
+        if (!tokens.has(token)) tokens.set(token, new Map());
+        const postings = tokens.get(token);
+        postings.set(idx, (postings.get(idx) || 0) + weight);
+      });
+    });
+  });
+  return { data, tokens, terms: [...tokens.keys()] };
+}
+
+const searchIndexes = new Map();
+
+/**
+ * Gets the search index of a source, fetched and built once per page view.
+ * @param {string} source the query index URL
+ * @returns {Promise<Object>} the search index
+ */
+function getSearchIndex(source) {
+  if (!searchIndexes.has(source)) {
+    searchIndexes.set(source, fetchQueryIndex(source).then(buildSearchIndex));
+  }
+  return searchIndexes.get(source);
+}
+
+/**
+ * Finds the rows matching all words of a query, best matches first.
+ * Exact token matches score higher than prefix matches.
+ * @param {Object} index the search index
+ * @param {string} query the search query
+ * @returns {Array<Object>} the matching rows
+ */
+function searchRows(index, query) {
+  const queryTokens = [...new Set(tokenize(query))];
+  if (!queryTokens.length) return [];
+
+  let scores = null;
+  queryTokens.forEach((queryToken) => {
+    const tokenScores = new Map();
+    index.terms.forEach((term) => {
+      if (!term.startsWith(queryToken)) return;
+      const factor = term === queryToken ? 1 : 0.5;
+      index.tokens.get(term).forEach((weight, idx) => {
+        tokenScores.set(idx, Math.max(tokenScores.get(idx) || 0, weight * factor));
+      });
+    });
+    if (!scores) {
+      scores = tokenScores;
+      return;
+    }
+    [...scores.keys()].forEach((idx) => {
+      if (tokenScores.has(idx)) scores.set(idx, scores.get(idx) + tokenScores.get(idx));
+      else scores.delete(idx);
+    });
+  });
+
+  return [...scores.entries()]
+    .sort(([idx1, score1], [idx2, score2]) => score2 - score1 || idx1 - idx2)
+    .map(([idx]) => index.data[idx]);
+}
+
+/**
+ * Gets the values of a facet for a row.
+ * "section" is the first folder of the path, any other facet reads a comma separated column.
+ * @param {Object} row the query index row
+ * @param {string} facet the facet name
+ * @returns {Array<string>} the facet values
+ */
+function getFacetValues(row, facet) {
+  if (facet === 'section') {
+    const segments = (row.path || '').split('/').filter((segment) => !!segment);
+    if (segments.length && `/${segments[0]}` in getConfig().locales) segments.shift();
+    return segments.length > 1 ? [segments[0]] : [];
+  }
+  const column = row[facet];
+  if (!column) return [];
+  // multi-value index properties are serialized as JSON arrays
+  if (column.startsWith('[')) {
+    try {
+      return JSON.parse(column).filter((value) => !!value);
+    } catch (e) {
+      // not JSON after all, treat as comma separated
+    }
+  }
+  return column.split(',').map((value) => value.trim()).filter((value) => !!value);
+}
+
+function filterByFacets(rows, selected) {
+  return rows.filter((row) => Object.entries(selected).every(([facet, values]) => !values.size
+    || getFacetValues(row, facet).some((value) => values.has(value))));
+}
+
 function clearSearchResults(block) {
   const searchResults = block.querySelector('.search-results');
   searchResults.innerHTML = '';
+  block.querySelector('.search-facets').innerHTML = '';
 }
 
 function clearSearch(block) {
@@ -130,8 +254,8 @@ function clearSearch(block) {
 }
 
 async function renderResults(block, config, filteredData, searchTerms) {
-  clearSearchResults(block);
   const searchResults = block.querySelector('.search-results');
+  searchResults.innerHTML = '';
   const headingTag = searchResults.dataset.h;
 
   if (filteredData.length) {
@@ -148,44 +272,52 @@ async function renderResults(block, config, filteredData, searchTerms) {
   }
 }
 
-function compareFound(hit1, hit2) {
-  return hit1.minIdx - hit2.minIdx;
-}
-
-function filterData(searchTerms, data) {
-  const foundInHeader = [];
-  const foundInMeta = [];
-
-  data.forEach((result) => {
-    let minIdx = -1;
-
-    searchTerms.forEach((term) => {
-      const idx = (result.header || result.title).toLowerCase().indexOf(term);
-      if (idx < 0) return;
-      if (minIdx < idx) minIdx = idx;
+/**
+ * Renders a checkbox per facet value found in the results, with its result count.
+ * Values of one facet are OR-ed, different facets are AND-ed.
+ */
+function renderFacets(block, config, results, searchTerms) {
+  const container = block.querySelector('.search-facets');
+  container.innerHTML = '';
+
+  config.facets.forEach((facet) => {
+    const counts = new Map();
+    results.forEach((row) => getFacetValues(row, facet).forEach((value) => {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }));
+    const selected = config.selectedFacets[facet] || new Set();
+    // keep selections that no longer match any result, so they can be unchecked
+    selected.forEach((value) => { if (!counts.has(value)) counts.set(value, 0); });
+    config.selectedFacets[facet] = selected;
+    if (!counts.size) return;
+
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'search-facet';
+    fieldset.dataset.facet = facet;
+    const legend = document.createElement('legend');
+    const label = facet.charAt(0).toUpperCase() + facet.slice(1);
+    legend.textContent = config.placeholders[`searchFacet${label}`] || label;
+    fieldset.append(legend);
+
+    [...counts.entries()].sort(([a], [b]) => a.localeCompare(b)).forEach(([value, count]) => {
+      const option = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = value;
+      checkbox.checked = selected.has(value);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) selected.add(value);
+        else selected.delete(value);
+        renderResults(block, config, filterByFacets(results, config.selectedFacets), searchTerms);
+      });
+      const countEl = document.createElement('span');
+      countEl.className = 'search-facet-count';
+      countEl.textContent = `(${count})`;
+      option.append(checkbox, ` ${value} `, countEl);
+      fieldset.append(option);
     });
-
-    if (minIdx >= 0) {
-      foundInHeader.push({ minIdx, result });
-      return;
-    }
-
-    const metaContents = `${result.title} ${result.description} ${result.path.split('/').pop()}`.toLowerCase();
-    searchTerms.forEach((term) => {
-      const idx = metaContents.indexOf(term);
-      if (idx < 0) return;
-      if (minIdx < idx) minIdx = idx;
-    });
-
-    if (minIdx >= 0) {
-      foundInMeta.push({ minIdx, result });
-    }
+    container.append(fieldset);
   });
-
-  return [
-    ...foundInHeader.sort(compareFound),
-    ...foundInMeta.sort(compareFound),
-  ].map((item) => item.result);
 }
 
 async function handleSearch(e, block, config) {
@@ -203,9 +335,12 @@ async function handleSearch(e, block, config) {
   }
   const searchTerms = searchValue.toLowerCase().split(/\s+/).filter((term) => !!term);
 
-  const data = await fetchData(config.source);
-  const filteredData = filterData(searchTerms, data);
-  await renderResults(block, config, filteredData, searchTerms);
+  const index = await getSearchIndex(config.source);
+  // a newer keystroke has already been handled
+  if (e.target.value !== searchValue) return;
+  const results = searchRows(index, searchValue);
+  renderFacets(block, config, results, searchTerms);
+  await renderResults(block, config, filterByFacets(results, config.selectedFacets), searchTerms);
 }
 
 function searchResultsContainer(block) {
@@ -215,6 +350,14 @@ function searchResultsContainer(block) {
   return results;
 }
 
+function searchFacetsContainer(config) {
+  const facets = document.createElement('div');
+  facets.className = 'search-facets';
+  facets.setAttribute('aria-label', config.placeholders.searchFilters || 'Filter results');
+  facets.setAttribute('role', 'group');
+  return facets;
+}
+
 function searchInput(block, config) {
   const input = document.createElement('input');
   input.setAttribute('type', 'search');
@@ -239,6 +382,145 @@ function searchIcon() {
   return icon;
 }
 
+function getSearchPageUrl(config, searchValue) {
+  const url = new URL(config.searchPage, window.location.href);
+  url.searchParams.set('q', searchValue);
+  return url.href;
+}
+
+/**
+ * Marks an option of the suggestions listbox as active, or none if option is null.
+ */
+function setActiveSuggestion(input, listbox, option) {
+  listbox.querySelectorAll('[role="option"]').forEach((opt) => {
+    opt.setAttribute('aria-selected', opt === option);
+  });
+  if (option) {
+    input.setAttribute('aria-activedescendant', option.id);
+    option.scrollIntoView({ block: 'nearest' });
+  } else {
+    input.removeAttribute('aria-activedescendant');
+  }
+}
+
+function toggleSuggestions(input, listbox, expanded) {
+  input.setAttribute('aria-expanded', expanded);
+  listbox.hidden = !expanded;
+  if (!expanded) setActiveSuggestion(input, listbox, null);
+}
+
+function renderSuggestions(input, listbox, config, results, searchValue) {
+  listbox.innerHTML = '';
+  const searchTerms = searchValue.toLowerCase().split(/\s+/).filter((term) => !!term);
+  const addOption = (className, content, href) => {
+    const option = document.createElement('li');
+    option.id = `${listbox.id}-option-${listbox.children.length}`;
+    option.className = className;
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', 'false');
+    if (href) {
+      const a = document.createElement('a');
+      a.href = href;
+      a.tabIndex = -1;
+      a.textContent = content;
+      option.append(a);
+    } else {
+      option.setAttribute('aria-disabled', 'true');
+      option.textContent = content;
+    }
+    listbox.append(option);
+    return option;
+  };
+
+  results.slice(0, SUGGESTIONS_LIMIT).forEach((result) => {
+    const option = addOption('search-suggestion', result.title || result.path, result.path);
+    highlightTextElements(searchTerms, [option.querySelector('a')]);
+  });
+  if (!results.length) {
+    addOption('search-suggestion no-results', config.placeholders.searchNoResults || 'No results found.');
+  }
+  addOption(
+    'search-suggestion search-suggestions-all',
+    config.placeholders.searchSeeAllResults || 'See all results',
+    getSearchPageUrl(config, searchValue),
+  );
+  toggleSuggestions(input, listbox, true);
+}
+
+function handleSuggestionsKeydown(e, input, listbox, config) {
+  const options = [...listbox.querySelectorAll('[role="option"]:not([aria-disabled="true"])')];
+  const active = listbox.querySelector('[aria-selected="true"]');
+  const activeIdx = options.indexOf(active);
+
+  if (e.code === 'ArrowDown' || e.code === 'ArrowUp') {
+    if (!options.length) return;
+    e.preventDefault();
+    if (listbox.hidden) toggleSuggestions(input, listbox, true);
+    const step = e.code === 'ArrowDown' ? 1 : -1;
+    const next = activeIdx < 0 && step < 0 ? options.length - 1 : activeIdx + step;
+    setActiveSuggestion(input, listbox, options[(next + options.length) % options.length]);
+  } else if (e.code === 'Enter' || e.code === 'NumpadEnter') {
+    const href = active && !listbox.hidden
+      ? active.querySelector('a').href
+      : input.value.trim() && getSearchPageUrl(config, input.value.trim());
+    if (!href) return;
+    e.preventDefault();
+    window.location.href = href;
+  } else if (e.code === 'Escape') {
+    e.stopPropagation();
+    if (!listbox.hidden) toggleSuggestions(input, listbox, false);
+    else input.value = '';
+  }
+}
+
+/**
+ * Builds the compact search of the header: a combobox with a dropdown
+ * of the best matches and a link to the full search page.
+ */
+function suggestionsBox(block, config) {
+  const box = document.createElement('div');
+  box.classList.add('search-box');
+
+  const listbox = document.createElement('ul');
+  listbox.className = 'search-suggestions';
+  listbox.id = `search-suggestions-${document.querySelectorAll('.search-suggestions').length}`;
+  listbox.setAttribute('role', 'listbox');
+  listbox.hidden = true;
+
+  const input = document.createElement('input');
+  input.setAttribute('type', 'search');
+  input.className = 'search-input';
+  const searchPlaceholder = config.placeholders.searchPlaceholder || 'Search...';
+  input.placeholder = searchPlaceholder;
+  input.setAttribute('aria-label', searchPlaceholder);
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-controls', listbox.id);
+  input.setAttribute('aria-expanded', 'false');
+  listbox.setAttribute('aria-label', searchPlaceholder);
+
+  input.addEventListener('input', async () => {
+    const searchValue = input.value.trim();
+    if (searchValue.length < 3) {
+      toggleSuggestions(input, listbox, false);
+      return;
+    }
+    const index = await getSearchIndex(config.source);
+    // a newer keystroke has already been handled
+    if (input.value.trim() !== searchValue) return;
+    renderSuggestions(input, listbox, config, searchRows(index, searchValue), searchValue);
+  });
+  input.addEventListener('keydown', (e) => handleSuggestionsKeydown(e, input, listbox, config));
+  block.addEventListener('focusout', (e) => {
+    if (!block.contains(e.relatedTarget)) toggleSuggestions(input, listbox, false);
+  });
+  // keep the focus in the input while picking an option with the mouse
+  listbox.addEventListener('mousedown', (e) => e.preventDefault());
+
+  box.append(searchIcon(), input, listbox);
+  return box;
+}
+
 function searchBox(block, config) {
   const box = document.createElement('div');
   box.classList.add('search-box');
@@ -253,10 +535,27 @@ function searchBox(block, config) {
 export default async function decorate(block) {
   const placeholders = await fetchPlaceholders();
   const source = block.querySelector('a[href]')?.href || `${window.hlx.codeBasePath}/query-index.json`;
+  const facetsText = block.children[1]?.textContent.trim();
+  const facets = facetsText
+    ? facetsText.split(',').map((facet) => facet.trim().toLowerCase()).filter((facet) => !!facet)
+    : DEFAULT_FACETS;
+  const config = {
+    source, placeholders, facets, selectedFacets: {}, searchPage: localizePath('/search'),
+  };
   block.innerHTML = '';
+
+  if (block.classList.contains('suggestions')) {
+    block.append(suggestionsBox(block, config));
+    decorateIcons(block);
+    return;
+  }
+
+  const panel = document.createElement('div');
+  panel.className = 'search-panel';
+  panel.append(searchFacetsContainer(config), searchResultsContainer(block));
   block.append(
-    searchBox(block, { source, placeholders }),
-    searchResultsContainer(block),
+    searchBox(block, config),
+    panel,
   );
 
   if (searchParams.get('q')) {
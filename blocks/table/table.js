@@ -4,7 +4,7 @@
  * https://www.hlx.live/developer/block-collection/table
  */
 
-import { moveInstrumentation } from '../../scripts/scripts.js';
+import { mapRows } from '../../scripts/scripts.js';
 
 /**
  *
@@ -16,9 +16,8 @@ export default async function decorate(block) {
   const tbody = document.createElement('tbody');
   const header = !block.classList.contains('no-header');
 
-  [...block.children].forEach((row, i) => {
+  mapRows(block, (row, i) => {
     const tr = document.createElement('tr');
-    moveInstrumentation(row, tr);
 
     [...row.children].forEach((cell) => {
       const td = document.createElement(i === 0 && header ? 'th' : 'td');
@@ -27,6 +26,8 @@ export default async function decorate(block) {
       td.innerHTML = cell.innerHTML;
       tr.append(td);
     });
+    return tr;
+  }).forEach((tr, i) => {
     if (i === 0 && header) thead.append(tr);
     else tbody.append(tr);
   });
@@ -1,6 +1,37 @@
 // eslint-disable-next-line import/no-unresolved
 import { toClassName } from '../../scripts/aem.js';
-import { moveInstrumentation } from '../../scripts/scripts.js';
+import { moveInstrumentation, removeInstrumentation } from '../../scripts/scripts.js';
+
+/**
+ * Gets the selected tab, to keep it selected when the block is re-decorated in the editor.
+ * @param {Element} block The tabs block element
+ * @returns {number} the index of the selected tab
+ */
+export function getEditorState(block) {
+  return [...block.querySelectorAll('.tabs-tab')]
+    .findIndex((tab) => tab.getAttribute('aria-selected') === 'true');
+}
+
+/**
+ * Selects the tab that was selected before the block was re-decorated.
+ * @param {Element} block The tabs block element
+ * @param {number} state the index of the selected tab
+ */
+export function restoreEditorState(block, state) {
+  block.querySelectorAll('.tabs-tab')[state]?.click();
+}
+
+/**
+ * Selects the tab of an element selected in the editor.
+ * @param {Element} block The tabs block element
+ * @param {Element} element The selected element
+ */
+export function revealEditorItem(block, element) {
+  const panel = element.closest('.tabs-panel');
+  if (panel?.getAttribute('aria-hidden') === 'true') {
+    block.querySelector(`.tabs-tab[aria-controls="${panel.id}"]`)?.click();
+  }
+}
 
 export default async function decorate(block) {
   // build tablist
@@ -45,7 +76,8 @@ export default async function decorate(block) {
     });
     tablist.append(button);
     tab.remove();
-    moveInstrumentation(button.querySelector('p'), null);
+    // the label is a copy of the removed tab cell, it is edited in the properties panel
+    removeInstrumentation(button.querySelector('p'));
   });
 
   block.prepend(tablist);
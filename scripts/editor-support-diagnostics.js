@@ -0,0 +1,87 @@
+/*
+ * Diagnostics for the Universal Editor, loaded in dev mode, see isDevMode().
+ * Lists the content that cannot be edited: richtext that could not be grouped,
+ * editable properties without a resource and authored blocks that lost their
+ * data-aue-resource during decoration. Each entry jumps to its element.
+ */
+
+import { loadCSS } from './aem.js';
+
+// issues found while decorating, they cannot be found again by scanning the page
+const reported = [];
+let panel;
+let timeout;
+
+/**
+ * Finds the issues that are visible in the current page.
+ * @returns {Array<Object>} the issues
+ */
+function scan() {
+  const issues = [];
+  document.querySelectorAll('main [data-aue-prop]').forEach((element) => {
+    if (!element.closest('[data-aue-resource]')) {
+      issues.push({ message: `Property "${element.dataset.aueProp}" has no editable resource`, element });
+    }
+  });
+  // authored blocks are grouped in block-content, blocks built at runtime are not
+  document.querySelectorAll('main .block-content > .block:not([data-aue-resource])').forEach((element) => {
+    issues.push({ message: `Block "${element.dataset.blockName}" lost its data-aue-resource`, element });
+  });
+  return issues;
+}
+
+function jumpTo(element) {
+  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  element.classList.add('editor-diagnostics-highlight');
+  setTimeout(() => element.classList.remove('editor-diagnostics-highlight'), 2000);
+}
+
+function render() {
+  const issues = [...reported.filter(({ element }) => element.isConnected), ...scan()];
+  if (!panel) {
+    panel = document.createElement('aside');
+    panel.className = 'editor-diagnostics';
+    panel.setAttribute('aria-label', 'Editor diagnostics');
+    panel.innerHTML = '<details open><summary></summary><ul></ul></details>';
+    document.body.append(panel);
+  }
+  panel.hidden = !issues.length;
+  panel.querySelector('summary').textContent = `${issues.length} editor ${issues.length === 1 ? 'issue' : 'issues'}`;
+  panel.querySelector('ul').replaceChildren(...issues.map(({ message, element }) => {
+    const li = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = message;
+    button.addEventListener('click', () => jumpTo(element));
+    li.append(button);
+    return li;
+  }));
+}
+
+function scheduleRender() {
+  clearTimeout(timeout);
+  timeout = setTimeout(render, 500);
+}
+
+/**
+ * Adds an issue found while decorating the page.
+ * @param {string} message what is wrong
+ * @param {Element} element the affected element
+ */
+export function reportIssue(message, element) {
+  reported.push({ message, element });
+  scheduleRender();
+}
+
+/**
+ * Shows the diagnostics panel, updated whenever the page changes.
+ */
+export default function initDiagnostics() {
+  loadCSS(`${window.hlx.codeBasePath}/styles/editor-diagnostics.css`);
+  const observer = new MutationObserver((mutations) => {
+    if (mutations.every(({ target }) => panel?.contains(target))) return;
+    scheduleRender();
+  });
+  observer.observe(document.body, { childList: true, subtree: true, attributeFilter: ['data-aue-resource'] });
+  scheduleRender();
+}
@@ -2,10 +2,20 @@
 /* eslint-disable no-cond-assign */
 /* eslint-disable import/prefer-default-export */
 
+import { isDevMode } from './scripts.js';
+
 // group editable texts in single wrappers if applicable.
 // this script should execute after script.js but before the the universal editor cors script
 // and any block being loaded
 
+// lists the richtext that could not be grouped in dev mode
+const diagnostics = isDevMode() ? import('./editor-support-diagnostics.js') : null;
+diagnostics?.then((mod) => mod.default());
+
+function report(message, element) {
+  diagnostics?.then((mod) => mod.reportIssue(message, element));
+}
+
 export function decorateRichtext(container = document) {
   function deleteInstrumentation(element) {
     delete element.dataset.richtextResource;
@@ -42,6 +52,7 @@ export function decorateRichtext(container = document) {
         orphanElements = editable.querySelectorAll(`:scope > :not([data-aue-resource]) [data-richtext-prop="${richtextProp}"]`);
       } else {
         console.warn(`Editable parent not found or richtext property ${richtextProp}`);
+        report(`Richtext "${richtextProp}" has no editable parent`, element);
         return;
       }
     }
@@ -49,7 +60,10 @@ export function decorateRichtext(container = document) {
     if (orphanElements.length) {
       console.warn('Found orphan elements of a richtext, that were not consecutive siblings of '
         + 'the first paragraph', orphanElements);
-      orphanElements.forEach((orphanElement) => deleteInstrumentation(orphanElement));
+      orphanElements.forEach((orphanElement) => {
+        report(`Richtext "${richtextProp}" is not a consecutive sibling of its first paragraph`, orphanElement);
+        deleteInstrumentation(orphanElement);
+      });
     } else {
       const group = document.createElement('div');
       if (richtextResource) {
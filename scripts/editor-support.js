@@ -1,5 +1,5 @@
-import { showSlide } from '../blocks/carousel/carousel.js';
 import {
+  buildBlock,
   decorateBlock,
   decorateBlocks,
   decorateButtons,
@@ -9,45 +9,94 @@ import {
   loadSections,
 } from './aem.js';
 import { decorateRichtext } from './editor-support-rte.js';
-import { decorateMain, decorateSections } from './scripts.js';
+import {
+  checkInstrumentation,
+  decorateMain,
+  decorateSections,
+  recordInstrumentation,
+  redecorateSection,
+} from './scripts.js';
 
 /**
- *
- * @param {Element} block
- * @param {HTMLElement} block
- * Use this function to trigger a mutation for the UI editor overlay when you
- * have a scrollable block
+ * Loads the module of a block, for its editor state hooks.
+ * A block module can export getEditorState(block), returning the state to keep
+ * when the block is re-decorated, and restoreEditorState(block, state), applying
+ * it to the re-decorated block.
+ * @param {Element} block the block
+ * @returns {Promise<Object>} the module, empty if it failed to load
  */
-function createMutation(block) {
-  block.setAttribute('xwalk-scroll-mutation', 'true');
-  block.querySelector('.carousel-slides').onscrollend = () => {
-    block.removeAttribute('xwalk-scroll-mutation');
-  };
+async function loadBlockModule(block) {
+  const { blockName } = block.dataset;
+  try {
+    return await import(`${window.hlx.codeBasePath}/blocks/${blockName}/${blockName}.js`);
+  } catch (e) {
+    return {};
+  }
 }
 
-function getState(block) {
-  if (block.matches('.accordion')) {
-    return [...block.querySelectorAll('details[open]')].map(
-      (details) => details.dataset.aueResource,
-    );
-  }
-  if (block.matches('.carousel')) {
-    return block.dataset.activeSlide;
-  }
-  return null;
+/**
+ * Gets the editor state of the blocks in a container, including the container itself.
+ * @param {Element} container the element about to be replaced
+ * @returns {Promise<Array<Object>>} the block, its resource and its state, per block with hooks
+ */
+async function getStates(container) {
+  const blocks = [...container.querySelectorAll('.block[data-block-name]')];
+  if (container.matches('.block[data-block-name]')) blocks.unshift(container);
+  const states = await Promise.all(blocks.map(async (block) => {
+    const { getEditorState } = await loadBlockModule(block);
+    if (!getEditorState) return null;
+    return { block, resource: block.dataset.aueResource, state: getEditorState(block) };
+  }));
+  return states.filter((entry) => !!entry);
 }
 
-function setState(block, state) {
-  if (block.matches('.accordion')) {
-    block.querySelectorAll('details').forEach((details) => {
-      details.open = state.includes(details.dataset.aueResource);
-    });
-  }
-  if (block.matches('.carousel')) {
-    block.style.display = null;
-    createMutation(block);
-    showSlide(block, state);
-  }
+/**
+ * Restores the editor state of the re-decorated blocks in a container.
+ * Blocks are matched by their resource, blocks without one by identity.
+ * @param {Element} container the element that replaced the old one
+ * @param {Array<Object>} states the states from getStates()
+ */
+async function restoreStates(container, states) {
+  await Promise.all(states.map(async ({ block, resource, state }) => {
+    const selector = `[data-aue-resource="${resource}"]`;
+    let newBlock = block.isConnected && block;
+    if (resource) {
+      newBlock = container.matches(selector) ? container : container.querySelector(selector);
+    }
+    if (!newBlock) return;
+    const { restoreEditorState } = await loadBlockModule(newBlock);
+    if (restoreEditorState) await restoreEditorState(newBlock, state);
+  }));
+}
+
+/**
+ * Renders the header or footer again, with the patched content of its fragment.
+ * @param {Element} block the header or footer block
+ */
+async function reloadFragmentBlock(block) {
+  const { getEditorState, restoreEditorState } = await loadBlockModule(block);
+  const state = getEditorState?.(block);
+  const newBlock = buildBlock(block.dataset.blockName, '');
+  newBlock.style.display = 'none';
+  block.insertAdjacentElement('afterend', newBlock);
+  decorateBlock(newBlock);
+  await loadBlock(newBlock);
+  block.remove();
+  newBlock.style.display = null;
+  if (restoreEditorState) await restoreEditorState(newBlock, state);
+}
+
+/**
+ * Sanitizes and parses the updated content of an editor event.
+ * @param {string} content the HTML of the update
+ * @returns {Promise<Document>} the parsed content
+ */
+async function parseContent(content) {
+  // load dompurify
+  await loadScript(`${window.hlx.codeBasePath}/scripts/dompurify.min.js`);
+
+  const sanitizedContent = window.DOMPurify.sanitize(content, { USE_PROFILES: { html: true } });
+  return new DOMParser().parseFromString(sanitizedContent, 'text/html');
 }
 
 async function applyChanges(event) {
@@ -63,23 +112,31 @@ async function applyChanges(event) {
   const { content } = updates[0];
   if (!content) return false;
 
-  // load dompurify
-  await loadScript(`${window.hlx.codeBasePath}/scripts/dompurify.min.js`);
-
-  const sanitizedContent = window.DOMPurify.sanitize(content, { USE_PROFILES: { html: true } });
-  const parsedUpdate = new DOMParser().parseFromString(sanitizedContent, 'text/html');
+  const parsedUpdate = await parseContent(content);
   const element = document.querySelector(`[data-aue-resource="${resource}"]`);
 
   if (element) {
+    // the nav and footer fragments are decorated as a whole by their block
+    const fragmentBlock = element.closest('header, footer')?.querySelector(':scope > .block');
+    if (fragmentBlock) {
+      await reloadFragmentBlock(fragmentBlock);
+      return true;
+    }
+
     if (element.matches('main')) {
+      const states = await getStates(element);
       const newMain = parsedUpdate.querySelector(`[data-aue-resource="${resource}"]`);
       newMain.style.display = 'none';
       element.insertAdjacentElement('afterend', newMain);
       decorateMain(newMain);
       decorateRichtext(newMain);
       await loadSections(newMain);
+      newMain.querySelectorAll('.block').forEach(checkInstrumentation);
+      // blocks built at runtime, like an open modal, are not part of the update
+      newMain.append(...element.querySelectorAll(':scope > .block:not([data-aue-resource])'));
       element.remove();
       newMain.style.display = null;
+      await restoreStates(newMain, states);
       // eslint-disable-next-line no-use-before-define
       attachEventListners(newMain);
       return true;
@@ -90,17 +147,19 @@ async function applyChanges(event) {
       const blockResource = block.getAttribute('data-aue-resource');
       const newBlock = parsedUpdate.querySelector(`[data-aue-resource="${blockResource}"]`);
       if (newBlock) {
-        const state = getState(block);
+        const states = await getStates(block);
         newBlock.style.display = 'none';
         block.insertAdjacentElement('afterend', newBlock);
         decorateButtons(newBlock);
         decorateIcons(newBlock);
         decorateBlock(newBlock);
         decorateRichtext(newBlock);
+        recordInstrumentation(newBlock);
         await loadBlock(newBlock);
+        checkInstrumentation(newBlock);
         block.remove();
-        setState(newBlock, state);
         newBlock.style.display = null;
+        await restoreStates(newBlock, states);
         return true;
       }
     } else {
@@ -109,6 +168,7 @@ async function applyChanges(event) {
       if (newElements.length) {
         const { parentElement } = element;
         if (element.matches('.section')) {
+          const states = await getStates(element);
           const [newSection] = newElements;
           newSection.style.display = 'none';
           element.insertAdjacentElement('afterend', newSection);
@@ -120,6 +180,7 @@ async function applyChanges(event) {
           await loadSections(parentElement);
           element.remove();
           newSection.style.display = null;
+          await restoreStates(newSection, states);
         } else {
           element.replaceWith(...newElements);
           decorateButtons(parentElement);
@@ -134,6 +195,101 @@ async function applyChanges(event) {
   return false;
 }
 
+/**
+ * Gets the elements of a resource, several for richtext default content.
+ * @param {string} resource the resource
+ * @returns {Array<Element>} the elements
+ */
+function getElements(resource) {
+  if (!resource) return [];
+  return [...document.querySelectorAll(`[data-aue-resource="${resource}"],[data-richtext-resource="${resource}"]`)];
+}
+
+/**
+ * Checks if changes to an element need the re-decorated content of its container:
+ * items of blocks, which are decorated by the block, and the header and footer.
+ * @param {Element} element the element
+ * @returns {boolean} true if the element cannot be changed in place
+ */
+function needsContainerUpdate(element) {
+  return !!element.closest('header, footer')
+    || (!element.matches('.block') && !!element.parentElement?.closest('.block'));
+}
+
+async function removeContent(event) {
+  const elements = getElements(event.detail?.request?.target?.resource);
+  if (!elements.length) return false;
+  if (needsContainerUpdate(elements[0])) return applyChanges(event);
+
+  const section = elements[0].matches('.section') ? null : elements[0].closest('.section');
+  elements.forEach((element) => element.remove());
+  if (section) redecorateSection(section);
+  return true;
+}
+
+async function moveContent(event) {
+  const { request } = event.detail || {};
+  const elements = getElements(request?.component?.resource || request?.from?.component?.resource);
+  const [container] = getElements(request?.to?.container?.resource);
+  if (!elements.length || !container) return false;
+  if (needsContainerUpdate(elements[0]) || container.matches('.block')) return applyChanges(event);
+
+  const from = elements[0].matches('.section') ? null : elements[0].closest('.section');
+  const [before] = getElements(request.to.before?.resource);
+  if (before) before.before(...elements);
+  else container.append(...elements);
+  // sections are moved in main, content between sections
+  [from, container.closest('.section')]
+    .filter((section, i, sections) => !!section && sections.indexOf(section) === i)
+    .forEach(redecorateSection);
+  return true;
+}
+
+async function copyContent(event) {
+  const { request, response } = event.detail || {};
+  const originals = getElements(request?.target?.resource || request?.component?.resource);
+  const content = response?.updates?.[0]?.content;
+  if (!originals.length || !content || needsContainerUpdate(originals[0])) {
+    return applyChanges(event);
+  }
+
+  // the copy has a new resource, it is the updated content that is not on the page yet
+  const parsedUpdate = await parseContent(content);
+  const added = [...parsedUpdate.querySelectorAll('[data-aue-resource],[data-richtext-resource]')]
+    .filter((el) => !getElements(el.dataset.aueResource || el.dataset.richtextResource).length);
+  const copies = added.filter((el) => !added.some((other) => other !== el && other.contains(el)));
+  if (!copies.length) return applyChanges(event);
+
+  const original = originals[originals.length - 1];
+  copies.forEach((copy) => {
+    decorateButtons(copy);
+    decorateIcons(copy);
+    decorateRichtext(copy);
+  });
+  if (original.matches('.section')) {
+    const wrapper = document.createElement('div');
+    wrapper.append(...copies);
+    decorateSections(wrapper);
+    decorateBlocks(wrapper);
+    original.after(...copies);
+    await loadSections(original.parentElement);
+    return true;
+  }
+
+  original.after(...copies);
+  const blocks = copies.filter((copy) => copy.matches('div[class]'));
+  blocks.forEach(decorateBlock);
+  redecorateSection(original.closest('.section'));
+  await Promise.all(blocks.map(loadBlock));
+  return true;
+}
+
+const CHANGE_HANDLERS = {
+  'aue:content-remove': removeContent,
+  'aue:content-move': moveContent,
+  'aue:content-copy': copyContent,
+};
+
 function attachEventListners(main) {
   [
     'aue:content-patch',
@@ -144,9 +300,11 @@ function attachEventListners(main) {
     'aue:content-copy',
   ].forEach((eventType) => main?.addEventListener(eventType, async (event) => {
     event.stopPropagation();
-    const applied = await applyChanges(event);
+    const applied = await (CHANGE_HANDLERS[eventType] || applyChanges)(event);
     if (!applied) window.location.reload();
   }));
 }
 
 attachEventListners(document.querySelector('main'));
+attachEventListners(document.querySelector('header'));
+attachEventListners(document.querySelector('footer'));
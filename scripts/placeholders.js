@@ -13,25 +13,29 @@
  */
 
 import { toCamelCase } from './aem.js';
+// eslint-disable-next-line import/no-cycle
+import { getConfig } from './scripts.js';
 
 /**
  * Gets placeholders object.
+ * Defaults to the active locale, with missing keys falling back to the root locale.
  * @param {string} [prefix] Location of placeholders
  * @returns {object} Window placeholders object
  */
 // eslint-disable-next-line import/prefer-default-export
-export async function fetchPlaceholders(prefix = 'default') {
+export async function fetchPlaceholders(prefix = getConfig().locale.prefix || 'default') {
   window.placeholders = window.placeholders || {};
   if (!window.placeholders[prefix]) {
+    const fallback = prefix === 'default' ? Promise.resolve({}) : fetchPlaceholders('default');
     window.placeholders[prefix] = new Promise((resolve) => {
       fetch(`${prefix === 'default' ? '' : prefix}/placeholders.json`)
         .then((resp) => {
           if (resp.ok) {
             return resp.json();
           }
-          return {};
-        }).then((json) => {
-          const placeholders = {};
+          return { data: [] };
+        }).then(async (json) => {
+          const placeholders = { ...await fallback };
           json.data
             .filter((placeholder) => placeholder.Key)
             .forEach((placeholder) => {
@@ -39,9 +43,9 @@ export async function fetchPlaceholders(prefix = 'default') {
             });
           window.placeholders[prefix] = placeholders;
           resolve(window.placeholders[prefix]);
-        }).catch(() => {
+        }).catch(async () => {
           // error loading placeholders
-          window.placeholders[prefix] = {};
+          window.placeholders[prefix] = { ...await fallback };
           resolve(window.placeholders[prefix]);
         });
     });
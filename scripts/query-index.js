@@ -0,0 +1,115 @@
+/*
+ * Query index client, shared by every block that needs page listings.
+ * Follows the offset/limit/total pagination of the index and caches the rows
+ * in sessionStorage. Cached rows are used without a request for CACHE_TTL, then
+ * a HEAD request checks whether the index was modified before refetching it.
+ */
+
+const PAGE_SIZE = 1000;
+const CACHE_PREFIX = 'query-index:';
+const CACHE_TTL = 5 * 60 * 1000;
+const requests = {};
+
+function getPageUrl(source, sheet, offset) {
+  const url = new URL(source, window.location.href);
+  if (sheet) url.searchParams.set('sheet', sheet);
+  url.searchParams.set('offset', offset);
+  url.searchParams.set('limit', PAGE_SIZE);
+  return url;
+}
+
+/**
+ * Fetches one page of an index sheet.
+ * @param {string} source the index URL
+ * @param {string} [sheet] the sheet name of a multi-sheet index
+ * @param {number} offset the first row to fetch
+ * @returns {Promise<Object>} the page, and the lastModified header of the index
+ */
+async function fetchPage(source, sheet, offset) {
+  const url = getPageUrl(source, sheet, offset);
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`error loading ${url}: ${resp.status}`);
+  const json = await resp.json();
+  // multi-sheet indexes nest each sheet under its name
+  const page = json[':type'] === 'multi-sheet' ? json[sheet || json[':names'][0]] : json;
+  return { page, lastModified: resp.headers.get('last-modified') };
+}
+
+function readCache(key) {
+  try {
+    return JSON.parse(sessionStorage.getItem(key));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Gets the lastModified header of an index sheet, without its rows.
+ * @param {string} source the index URL
+ * @param {string} [sheet] the sheet name of a multi-sheet index
+ * @returns {Promise<string|null>} the header, null if it could not be checked
+ */
+async function fetchLastModified(source, sheet) {
+  try {
+    const resp = await fetch(getPageUrl(source, sheet, 0), { method: 'HEAD' });
+    return resp.ok ? resp.headers.get('last-modified') : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeCache(key, value) {
+  try {
+    sessionStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    // storage is full or disabled, the index is refetched on the next page view
+  }
+}
+
+async function loadQueryIndex(source, sheet) {
+  const { pathname } = new URL(source, window.location.href);
+  const key = `${CACHE_PREFIX}${pathname}${sheet ? `:${sheet}` : ''}`;
+
+  const cached = readCache(key);
+  if (cached?.data) {
+    if (Date.now() - cached.checkedAt < CACHE_TTL) return cached.data;
+    if (await fetchLastModified(source, sheet) === cached.lastModified) {
+      writeCache(key, { ...cached, checkedAt: Date.now() });
+      return cached.data;
+    }
+  }
+
+  const { page, lastModified } = await fetchPage(source, sheet, 0);
+
+  const data = [...page.data];
+  const total = page.total ?? data.length;
+  const limit = page.limit || PAGE_SIZE;
+  const offsets = [];
+  for (let offset = data.length; offset < total; offset += limit) offsets.push(offset);
+  const pages = await Promise.all(offsets.map((offset) => fetchPage(source, sheet, offset)));
+  pages.forEach(({ page: { data: rows } }) => data.push(...rows));
+
+  if (lastModified) writeCache(key, { lastModified, checkedAt: Date.now(), data });
+  return data;
+}
+
+/**
+ * Gets all rows of a query index, fetched once per page view.
+ * @param {string} [source] the index URL, defaults to the site query index
+ * @param {Object} [options]
+ * @param {string} [options.sheet] the sheet to read from a multi-sheet index
+ * @returns {Promise<Array<Object>>} the index rows, empty if the index could not be loaded
+ */
+// eslint-disable-next-line import/prefer-default-export
+export function fetchQueryIndex(source = `${window.hlx.codeBasePath}/query-index.json`, { sheet } = {}) {
+  const key = `${source}|${sheet || ''}`;
+  if (!requests[key]) {
+    requests[key] = loadQueryIndex(source, sheet).catch((error) => {
+      // eslint-disable-next-line no-console
+      console.error('error loading query index', error);
+      delete requests[key];
+      return [];
+    });
+  }
+  return requests[key];
+}
@@ -1,9 +1,11 @@
 import {
+  buildBlock,
   loadHeader,
   loadFooter,
   decorateButtons,
   decorateIcons,
   decorateLinkedPictures,
+  decorateBlock,
   decorateBlocks,
   decorateTemplateAndTheme,
   waitForFirstImage,
@@ -12,6 +14,7 @@ import {
   loadCSS,
   getMetadata,
   toCamelCase,
+  toClassName,
 } from './aem.js';
 
 /**
@@ -48,13 +51,126 @@ export function moveInstrumentation(from, to) {
   );
 }
 
+/**
+ * Removes the instrumentation attributes of an element,
+ * e.g. from a copy of authored content that is not editable.
+ * @param {Element} element the element
+ */
+export function removeInstrumentation(element) {
+  if (element) moveInstrumentation(element, null);
+}
+
+function createElement(tagOrElement) {
+  return typeof tagOrElement === 'string' ? document.createElement(tagOrElement) : tagOrElement;
+}
+
+/**
+ * Replaces an element with a new one, moving its content and instrumentation.
+ * @param {Element} from the element to replace
+ * @param {string|Element} to the tag name of the new element, or the element
+ * @returns {Element} the new element
+ */
+export function replaceElement(from, to) {
+  const element = createElement(to);
+  moveInstrumentation(from, element);
+  element.append(...from.childNodes);
+  from.replaceWith(element);
+  return element;
+}
+
+/**
+ * Wraps an element in a new one, moving the instrumentation to the wrapper
+ * so the editor selects the whole wrapper.
+ * @param {Element} element the element to wrap
+ * @param {string|Element} wrapper the tag name of the wrapper, or the wrapper
+ * @returns {Element} the wrapper
+ */
+export function wrapElement(element, wrapper) {
+  const wrapperElement = createElement(wrapper);
+  moveInstrumentation(element, wrapperElement);
+  element.replaceWith(wrapperElement);
+  wrapperElement.append(element);
+  return wrapperElement;
+}
+
+/**
+ * Replaces the rows of a block with new elements, moving their instrumentation.
+ * The content of a row is moved too, unless the new element already has content.
+ * @param {Element} block the block element
+ * @param {string|Function} create the tag name of the new elements, or a function
+ * creating the element from a row and its index
+ * @returns {Array<Element>} the new elements, in place of the rows
+ */
+export function mapRows(block, create) {
+  return [...block.querySelectorAll(':scope > div')].map((row, i) => {
+    const element = typeof create === 'function' ? create(row, i) : document.createElement(create);
+    moveInstrumentation(row, element);
+    if (!element.hasChildNodes()) element.append(...row.childNodes);
+    row.replaceWith(element);
+    return element;
+  });
+}
+
+// URL hash prefix of a deep-linked modal, e.g. #modal=/modals/newsletter
+export const MODAL_HASH = '#modal=';
+
+/**
+ * Checks if a URL points at a /modals/ path on this site
+ * @param {string} href the URL, or a path on this site
+ * @returns {boolean} true if the URL should open in a modal
+ */
+function isModalUrl(href) {
+  try {
+    const url = new URL(href, window.location.origin);
+    return url.origin === window.location.origin && url.pathname.includes('/modals/');
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Opens links to /modals/ paths in a modal instead of navigating to them.
+ * Listens on the document so links in fragments, header and footer are covered too.
+ */
+function interceptModalLinks() {
+  document.addEventListener('click', async (e) => {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey) return;
+    const a = e.target.closest('a[href]');
+    if (!a || !isModalUrl(a.href)) return;
+    e.preventDefault();
+    const { openModal } = await import(`${window.hlx.codeBasePath}/blocks/modal/modal.js`);
+    openModal(a.href, a);
+  });
+}
+
+/**
+ * Opens the modal referenced by the URL hash, if any
+ */
+async function loadModalFromHash() {
+  const { hash } = window.location;
+  if (!hash.startsWith(MODAL_HASH)) return;
+  let path;
+  try {
+    path = decodeURIComponent(hash.substring(MODAL_HASH.length));
+  } catch (e) {
+    // a malformed hash, e.g. #modal=%E0, has no modal to open
+    return;
+  }
+  // only same-origin modals, //host/path would resolve to another site
+  if (!path.startsWith('/') || path.startsWith('//') || !isModalUrl(path)) return;
+  const { openModal } = await import(`${window.hlx.codeBasePath}/blocks/modal/modal.js`);
+  openModal(path);
+}
+
 /* CHARITY - start of ak.js stuff */
 /* locales are defined below in this file */
-export function getLocale(locales) {
+export function getLocale(locales = { '': {} }) {
   const { pathname } = window.location;
   const matches = Object.keys(locales).filter((locale) => pathname.startsWith(`${locale}/`));
-  const prefix = getMetadata('locale') || matches.sort((a, b) => b.length - a.length)?.[0] || '';
-  if (locales[prefix].lang) document.documentElement.lang = locales[prefix].lang;
+  const metaLocale = getMetadata('locale');
+  const prefix = (metaLocale in locales && metaLocale)
+    || matches.sort((a, b) => b.length - a.length)?.[0] || '';
+  if (locales[prefix]?.lang) document.documentElement.lang = locales[prefix].lang;
   return { prefix, ...locales[prefix] };
 }
 
@@ -119,15 +235,12 @@ function groupChildren(section) {
 
 /* CHARITY - start of section-metadata.js */
 /**
- * Converts a CSS color value to RGB values
- * @param {string} color - CSS color value (hex, rgb, rgba, hsl, hsla, or named color)
+ * Converts a computed rgb() or rgba() color to RGB values
+ * @param {string} value the computed color
  * @returns {Object|null} Object with r, g, b values (0-255) or null if invalid
  */
-function parseColor(section) {
-  if (!section) return null; // for now, only using on sections
-
-  const computedBg = getComputedStyle(section).background;
-  const rgbMatch = computedBg.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/);
+function parseRgb(value) {
+  const rgbMatch = value?.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
   if (!rgbMatch) return null;
   return {
     r: parseInt(rgbMatch[1], 10),
@@ -136,6 +249,19 @@ function parseColor(section) {
   };
 }
 
+/**
+ * Converts the background color of a section to RGB values
+ * @param {Element} section the section, or block-content
+ * @returns {Object|null} Object with r, g, b values (0-255) or null if invalid
+ */
+function parseColor(section) {
+  if (!section) return null; // for now, only using on sections
+
+  const computedBg = getComputedStyle(section).background;
+  // transparent backgrounds are computed as rgba() and have no color of their own
+  return parseRgb(computedBg.match(/rgb\([^)]*\)/)?.[0]);
+}
+
 function getRelativeLuminance({ r, g, b }) {
   // Convert to sRGB
   const rsRGB = r / 255;
@@ -152,18 +278,120 @@ function getRelativeLuminance({ r, g, b }) {
 }
 
 /**
- * Determines if a CSS color value is light or dark
- * @param {string} color - CSS color value
- * @param {number} threshold - Luminance threshold (default: 0.5)
- * @returns {boolean} true if light, false if dark, null if invalid color
+ * Samples the average color of a loaded image
+ * @param {HTMLImageElement} img the image, e.g. the section-img of a background
+ * @returns {Object|null} Object with r, g, b values (0-255) or null if it cannot be read
+ */
+function sampleImageColor(img) {
+  if (!img?.complete || !img.naturalWidth) return null;
+  const size = 16;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  try {
+    context.drawImage(img, 0, 0, size, size);
+    const { data } = context.getImageData(0, 0, size, size);
+    const sum = { r: 0, g: 0, b: 0 };
+    for (let i = 0; i < data.length; i += 4) {
+      sum.r += data[i];
+      sum.g += data[i + 1];
+      sum.b += data[i + 2];
+    }
+    const pixels = data.length / 4;
+    return {
+      r: Math.round(sum.r / pixels),
+      g: Math.round(sum.g / pixels),
+      b: Math.round(sum.b / pixels),
+    };
+  } catch (e) {
+    // images from another origin without CORS cannot be read
+    return null;
+  }
+}
+
+/**
+ * Gets the color behind the content of a section: the average of its
+ * background image once loaded, otherwise its background color
+ * @param {Element} section the section, or block-content
+ * @returns {Object|null} Object with r, g, b values (0-255) or null if unknown
+ */
+function getBackgroundColor(section) {
+  const img = section.querySelector(':scope > .bg-images .section-img');
+  return sampleImageColor(img) || parseColor(section);
+}
+
+/**
+ * Determines if the background of a section is light or dark.
+ * Authors can override it with the scheme key of the section metadata.
+ * @param {Element} section the section, or block-content
+ * @returns {string|null} light-scheme, dark-scheme or null if unknown
  */
 export function getColorScheme(section) {
-  const rgb = parseColor(section);
+  // block-content follows the override of its section
+  const scheme = section.closest('.section')?.dataset.scheme?.replace(/-scheme$/, '');
+  if (['light', 'dark'].includes(scheme)) return `${scheme}-scheme`;
+
+  const rgb = getBackgroundColor(section);
   if (!rgb) return null;
 
   return getRelativeLuminance(rgb) > 0.5 ? 'light-scheme' : 'dark-scheme';
 }
 
+/**
+ * Finds the text of a section that does not meet the WCAG AA contrast ratio
+ * against its background: 4.5:1, or 3:1 for large text.
+ * @param {Element} section the section, or block-content
+ * @returns {Array<Element>} the text elements with too little contrast
+ */
+function findLowContrastText(section) {
+  const background = getBackgroundColor(section);
+  if (!background) return [];
+  const backgroundLuminance = getRelativeLuminance(background);
+
+  // blocks in a section bring their own backgrounds
+  const isBlockContent = section.classList.contains('block-content');
+  return [...section.querySelectorAll('h1, h2, h3, h4, h5, h6, p, li')]
+    .filter((el) => isBlockContent || !el.closest('.block'))
+    .filter((el) => el.textContent.trim())
+    .filter((el) => {
+      const style = getComputedStyle(el);
+      const color = parseRgb(style.color);
+      if (!color) return false;
+      const luminances = [getRelativeLuminance(color), backgroundLuminance];
+      const ratio = (Math.max(...luminances) + 0.05) / (Math.min(...luminances) + 0.05);
+      const fontSize = parseFloat(style.fontSize);
+      const isLarge = fontSize >= 24 || (fontSize >= 18.66 && Number(style.fontWeight) >= 700);
+      return ratio < (isLarge ? 3 : 4.5);
+    });
+}
+
+/**
+ * Warns about text with too little contrast against the background of its
+ * section or block-content.
+ * @param {Element} section the section, or block-content
+ */
+function warnLowContrast(section) {
+  const failing = findLowContrastText(section);
+  if (failing.length) {
+    // eslint-disable-next-line no-console
+    console.warn('Text does not meet the WCAG AA contrast ratio against its background', failing, section);
+  }
+}
+
+/**
+ * Checks the contrast of the text in dev mode, once the sections are loaded.
+ * Backgrounds with an image are checked when the image loads, see handleBackgroundImages().
+ * @param {Element} main the main element
+ */
+function checkContrast(main) {
+  // eslint-disable-next-line no-use-before-define
+  if (!isDevMode()) return;
+  main.querySelectorAll('.section, .section > .block-content').forEach((section) => {
+    if (!section.querySelector(':scope > .bg-images')) warnLowContrast(section);
+  });
+}
+
 export function setColorScheme(section) {
   const scheme = getColorScheme(section);
   if (!scheme) return;
@@ -244,6 +472,10 @@ function handleBackgroundImages(desktopUrl, mobileUrl, section) {
   newImg.onload = () => {
     newImg.width = newImg.naturalWidth;
     newImg.height = newImg.naturalHeight;
+    // the scheme follows the image, unless set with the scheme key
+    setColorScheme(section);
+    // eslint-disable-next-line no-use-before-define
+    if (isDevMode()) warnLowContrast(section);
   };
   newImg.src = defaultImgUrl;
 
@@ -252,6 +484,79 @@ function handleBackgroundImages(desktopUrl, mobileUrl, section) {
   section.prepend(newPic);
 }
 
+/**
+ * Extracts video URL from metadata content (link or plain text)
+ * @param {Element} content the metadata content element
+ * @returns {string|null} the video URL or null
+ */
+function extractVideoUrl(content) {
+  const link = content.querySelector('a');
+  return link?.href || content.textContent.trim() || null;
+}
+
+/**
+ * Creates a muted, looping background video, with a control to pause it.
+ * The video does not start by itself when the visitor prefers reduced motion.
+ * @param {string} desktopUrl the desktop background video URL
+ * @param {string|null} mobileUrl the mobile background video URL (optional)
+ * @param {string|null} posterUrl the background image, shown until the video plays
+ * @param {Element} section the section element to add the background to
+ */
+function handleBackgroundVideo(desktopUrl, mobileUrl, posterUrl, section) {
+  if (!desktopUrl && !mobileUrl) return;
+
+  const video = document.createElement('video');
+  video.className = 'bg-video';
+  video.muted = true;
+  video.loop = true;
+  video.playsInline = true;
+  video.preload = 'metadata';
+  video.setAttribute('aria-hidden', 'true');
+  if (posterUrl) video.poster = posterUrl;
+
+  const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  // the video keeps its paused state when the source changes with the viewport
+  let paused = reducedMotion;
+  const setSource = () => {
+    // the video is replaced when the section is redecorated, see redecorateSection()
+    if (!video.isConnected && video.src) {
+      MEDIA_QUERIES.mobile.removeEventListener('change', setSource);
+      return;
+    }
+    video.src = (MEDIA_QUERIES.mobile.matches && mobileUrl) || desktopUrl || mobileUrl;
+    if (!paused) video.play().catch(() => {});
+  };
+  setSource();
+  if (mobileUrl && desktopUrl) MEDIA_QUERIES.mobile.addEventListener('change', setSource);
+
+  // a toggle button with a fixed label, pressed while the video is paused
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'bg-video-toggle';
+  button.setAttribute('aria-label', 'Pause background video');
+  button.addEventListener('click', () => {
+    paused = !video.paused;
+    if (paused) video.pause();
+    else video.play().catch(() => {});
+  });
+  const updateButton = () => button.setAttribute('aria-pressed', video.paused);
+  video.addEventListener('play', updateButton);
+  video.addEventListener('pause', updateButton);
+  updateButton();
+  // eslint-disable-next-line import/no-cycle
+  import('./placeholders.js')
+    .then((mod) => mod.fetchPlaceholders())
+    .then((placeholders) => {
+      if (placeholders.pauseBackgroundVideo) {
+        button.setAttribute('aria-label', placeholders.pauseBackgroundVideo);
+      }
+    });
+
+  section.classList.add('has-bg-video');
+  section.prepend(video);
+  section.append(button);
+}
+
 function handleBackground(background, section) {
   const color = background.text;
   // instead of typing "var(--color-name)" authors can use "color-token-name"
@@ -307,7 +612,7 @@ export default async function handleSectionMetadata(el) {
   if (metadata.background?.text) handleBackground(metadata.background, section);
 
   // Define which keys are handled specially for section or block-content
-  const specialKeys = ['style', 'grid', 'gap', 'spacing', 'container', 'background-image', 'background-image-mobile', 'background', 'background-block', 'background-block-image', 'background-block-image-mobile', 'object-fit-block', 'object-position-block'];
+  const specialKeys = ['style', 'grid', 'gap', 'spacing', 'container', 'background-image', 'background-image-mobile', 'background-video', 'background-video-mobile', 'background', 'background-block', 'background-block-image', 'background-block-image-mobile', 'object-fit-block', 'object-position-block'];
 
   // Catch-all: set any other metadata as data- attributes on section
   Object.keys(metadata).forEach((key) => {
@@ -315,6 +620,8 @@ export default async function handleSectionMetadata(el) {
       section.dataset[toCamelCase(key)] = metadata[key].text;
     }
   });
+  // an author-provided scheme wins over the one of the background color
+  if (metadata.scheme?.text) setColorScheme(section);
 
   // Handle SECTION background images (desktop and mobile variants)
   const desktopBgImg = metadata['background-image']?.content
@@ -328,6 +635,19 @@ export default async function handleSectionMetadata(el) {
     handleBackgroundImages(desktopBgImg, mobileBgImg, section);
   }
 
+  // Handle SECTION background video, with the background image as its poster
+  const desktopBgVideo = metadata['background-video']?.content
+    ? extractVideoUrl(metadata['background-video'].content)
+    : null;
+  const mobileBgVideo = metadata['background-video-mobile']?.content
+    ? extractVideoUrl(metadata['background-video-mobile'].content)
+    : null;
+
+  if (desktopBgVideo || mobileBgVideo) {
+    const posterUrl = (MEDIA_QUERIES.mobile.matches && mobileBgImg) || desktopBgImg || mobileBgImg;
+    handleBackgroundVideo(desktopBgVideo, mobileBgVideo, posterUrl, section);
+  }
+
   // Handle BLOCK-CONTENT specific properties
   const blockContents = section.querySelectorAll(':scope > div.block-content');
   if (blockContents.length > 0) {
@@ -365,6 +685,8 @@ export default async function handleSectionMetadata(el) {
     }
   }
 
+  // kept for redecorateSection()
+  section.sectionMetadata = el;
   el.remove();
 }
 
@@ -422,6 +744,54 @@ export function localizeUrl({ config, url }) {
   return new URL(`${origin}${locale.prefix}${pathname}${search}${hash}`);
 }
 
+/**
+ * Localizes a site path to the active locale, if it is not already localized
+ * @param {string} path the path to localize, e.g. /nav
+ * @returns {string} the localized path, e.g. /de/nav
+ */
+export function localizePath(path) {
+  const url = new URL(path, window.location.origin);
+  const localized = localizeUrl({ config: getConfig(), url });
+  return (localized || url).pathname;
+}
+
+/**
+ * Strips the active locale prefix from a path, for falling back to the root locale
+ * @param {string} path the path, e.g. /de/nav
+ * @returns {string} the root locale path, e.g. /nav
+ */
+export function getRootLocalePath(path) {
+  const { prefix } = getConfig().locale;
+  if (!prefix || !path.startsWith(`${prefix}/`)) return path;
+  return path.substring(prefix.length);
+}
+
+/**
+ * Adds hreflang alternates of the current page for the locales it is published in,
+ * read from the query index so that no alternate points at a missing page
+ * @param {Object} config the configuration object
+ */
+async function decorateHreflang({ locales }) {
+  if (Object.keys(locales).length < 2) return;
+  if (document.head.querySelector('link[rel="alternate"][hreflang]')) return;
+  const { fetchQueryIndex } = await import('./query-index.js');
+  const paths = new Set((await fetchQueryIndex()).map(({ path }) => path));
+  const { origin, pathname } = window.location;
+  const rootPath = getRootLocalePath(pathname);
+  const addAlternate = (hreflang, href) => {
+    if (!paths.has(href)) return;
+    const link = document.createElement('link');
+    link.rel = 'alternate';
+    link.hreflang = hreflang;
+    link.href = `${origin}${href}`;
+    document.head.append(link);
+  };
+  Object.entries(locales).forEach(([prefix, { lang }]) => {
+    if (lang) addAlternate(lang, `${prefix}${rootPath}`);
+  });
+  addAlternate('x-default', rootPath);
+}
+
 /**
  * Decorates the link, including localization and auto-blocking
  * @param {Object} config the configuration object
@@ -440,15 +810,22 @@ function decorateLink(config, a) {
       if (localized) a.href = localized.href;
     }
     decorateButtons(a);
-    if (!dnb) {
+    // authored blocks handle their own links, and the Universal Editor edits them as they are
+    // eslint-disable-next-line no-use-before-define
+    const isAutoBlock = !dnb && !a.closest('.block-content > div[class]') && !isUniversalEditor();
+    if (isAutoBlock) {
       const { href } = a;
-      const found = config.widgets.some((pattern) => {
-        const key = Object.keys(pattern)[0];
-        if (!href.includes(pattern[key])) return false;
-        a.classList.add(key, 'auto-block');
-        return true;
-      });
-      if (found) return a;
+      const widget = config.widgets.find(({ pattern }) => href.includes(pattern));
+      if (widget) {
+        a.classList.add(widget.name, 'auto-block');
+        // loadWidgets() reads these to turn the link into its block
+        if (widget.loader) {
+          a.dataset.widgetLoader = widget.loader;
+        } else {
+          a.dataset.widgetBlock = widget.block || widget.name;
+        }
+        return a;
+      }
     }
   } catch (ex) {
     config.log('Could not decorate link');
@@ -472,6 +849,55 @@ function decorateLinks(el) {
   }, []);
 }
 
+/**
+ * Turns a widget link collected by decorateLinks() into its block, or hands it to its loader.
+ * @param {Element} a The link tagged with a widget block or loader
+ * @returns {Promise}
+ */
+async function loadWidget(a) {
+  const { widgetBlock, widgetLoader } = a.dataset;
+  if (widgetLoader) {
+    try {
+      const mod = await import(`${window.hlx.codeBasePath}${widgetLoader}`);
+      if (mod.default) await mod.default(a);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(`failed to load widget ${widgetLoader}`, error);
+    }
+    return;
+  }
+  // links in fragments are not in the document yet, only skip the ones already replaced
+  if (!widgetBlock || !a.parentElement) return;
+
+  // replace the whole paragraph if the link is its only content
+  const parent = a.parentElement;
+  const target = parent.tagName === 'P' && parent.textContent.trim() === a.textContent.trim()
+    ? parent
+    : a;
+  const wrapper = document.createElement('div');
+  target.replaceWith(wrapper);
+  const block = buildBlock(widgetBlock, [[a]]);
+  wrapper.append(block);
+  decorateBlock(block);
+}
+
+/**
+ * Loads the widgets of decorated sections, so their blocks load with the section.
+ * Call it before loadSection() or loadSections().
+ * @param {Element} element a section, or the parent element of sections
+ * @returns {Promise}
+ */
+export async function loadWidgets(element) {
+  const sections = element.classList.contains('section')
+    ? [element]
+    : [...element.querySelectorAll('div.section')];
+  await Promise.all(sections.flatMap((section) => {
+    const pending = section.widgets || [];
+    section.widgets = [];
+    return pending.map(loadWidget);
+  }));
+}
+
 /**
  * Decorates the sections in a given element
  * Moved from aem.js after heavily modifying the function
@@ -500,6 +926,37 @@ export function decorateSections(parent, isDoc) {
     return section;
   });
 }
+
+/**
+ * Groups the content of a decorated section again and re-applies its metadata,
+ * e.g. after content was removed, moved or copied in the Universal Editor.
+ * @param {Element} section The section element
+ */
+export function redecorateSection(section) {
+  // background images and videos are added again by the metadata
+  section.querySelectorAll(':scope > .bg-images, :scope > .block-content > .bg-images')
+    .forEach((picture) => picture.remove());
+  section.querySelectorAll(':scope > .bg-video, :scope > .bg-video-toggle')
+    .forEach((element) => element.remove());
+  section.classList.remove('has-bg-video');
+  section.classList.remove(...[...section.classList].filter((name) => name.endsWith('-container')));
+  section.querySelectorAll(':scope > .default-content, :scope > .block-content')
+    .forEach((group) => group.replaceWith(...group.childNodes));
+  section.append(...groupChildren(section));
+
+  section.blocks = [...section.querySelectorAll('.block-content > div[class]')];
+  section.blocks.forEach((block) => {
+    const { blockName } = block.dataset;
+    if (!blockName) return;
+    block.parentElement.classList.add(`${blockName}-wrapper`);
+    section.classList.add(`${blockName}-container`);
+  });
+
+  if (section.sectionMetadata) {
+    section.append(section.sectionMetadata);
+    handleSectionMetadata(section.sectionMetadata);
+  }
+}
 // CHARITY - end of ak.js stuff
 
 /**
@@ -515,18 +972,145 @@ async function loadFonts() {
 }
 
 /**
- * Builds all synthetic blocks in a container element.
- * @param {Element} main The container element
+ * Checks if the page is rendered in the Universal Editor,
+ * which instruments the content with data-aue-* attributes.
+ * @returns {boolean} true in the Universal Editor
  */
-function buildAutoBlocks() {
+export function isUniversalEditor() {
+  return !!document.querySelector('[data-aue-resource]');
+}
+
+/**
+ * Checks if diagnostics for developers are turned on, on localhost, with the
+ * devmode query parameter or with a devmode item in localStorage.
+ * @returns {boolean} true in dev mode
+ */
+export function isDevMode() {
+  const { hostname, search } = window.location;
+  if (hostname === 'localhost' || new URLSearchParams(search).has('devmode')) return true;
   try {
-    // TODO: add auto block, if needed
-  } catch (error) {
+    return !!localStorage.getItem('devmode');
+  } catch (e) {
+    return false;
+  }
+}
+
+function getInstrumentedResources(block) {
+  const attributes = ['data-aue-resource', 'data-richtext-resource'];
+  const elements = [block, ...block.querySelectorAll(attributes.map((attr) => `[${attr}]`).join(','))];
+  return [...new Set(elements.flatMap((el) => attributes.map((attr) => el.getAttribute(attr))))]
+    .filter((resource) => !!resource);
+}
+
+/**
+ * Remembers the instrumented resources of a block before it is decorated,
+ * in dev mode in the Universal Editor, see checkInstrumentation().
+ * @param {Element} block The block element
+ */
+export function recordInstrumentation(block) {
+  if (isDevMode() && isUniversalEditor()) block.sourceResources = getInstrumentedResources(block);
+}
+
+/**
+ * Warns when a decorated block lost instrumentation that was in its source markup,
+ * which makes that content uneditable.
+ * @param {Element} block The block element
+ */
+export function checkInstrumentation(block) {
+  if (!block.sourceResources) return;
+  const resources = getInstrumentedResources(block);
+  const lost = block.sourceResources.filter((resource) => !resources.includes(resource));
+  if (lost.length) {
     // eslint-disable-next-line no-console
-    console.error('Auto Blocking failed', error);
+    console.warn(`Block ${block.dataset.blockName} lost the instrumentation of`, lost, block);
+  }
+}
+
+/**
+ * Builds a hero block from a picture followed by an h1 at the start of the page.
+ * @param {Element} main The container element
+ */
+function buildHeroBlock(main) {
+  const firstSection = main.querySelector(':scope > div');
+  if (!firstSection || firstSection.querySelector(':scope > div.hero')) return;
+  const h1 = firstSection.querySelector(':scope > h1');
+  const picture = firstSection.querySelector(':scope > p > picture');
+  // eslint-disable-next-line no-bitwise
+  if (h1 && picture && (h1.compareDocumentPosition(picture) & Node.DOCUMENT_POSITION_PRECEDING)) {
+    const pictureParent = picture.parentElement;
+    const section = document.createElement('div');
+    section.append(buildBlock('hero', { elems: [picture, h1] }));
+    if (!pictureParent.textContent.trim() && !pictureParent.children.length) pictureParent.remove();
+    main.prepend(section);
   }
 }
 
+/**
+ * Turns on the header breadcrumbs, unless the page metadata already decides.
+ */
+function buildBreadcrumbs() {
+  if (getMetadata('breadcrumbs')) return;
+  const meta = document.createElement('meta');
+  meta.name = 'breadcrumbs';
+  meta.content = 'true';
+  document.head.append(meta);
+}
+
+/**
+ * Builds a byline block from the author and publication-date metadata.
+ * @param {Element} main The container element
+ */
+function buildBylineBlock(main) {
+  const author = getMetadata('author');
+  const date = getMetadata('publication-date');
+  if (!author && !date) return;
+  const rows = [['author', author], ['date', date]].filter(([, value]) => value);
+  const byline = buildBlock('byline', rows);
+  const h1 = main.querySelector(':scope > div > h1');
+  if (h1) {
+    h1.after(byline);
+  } else {
+    const section = document.createElement('div');
+    section.append(byline);
+    main.querySelector(':scope > div')?.after(section);
+  }
+}
+
+// Auto-block builders, run in this order; each one receives the main element
+const autoBlocks = {
+  hero: buildHeroBlock,
+  breadcrumbs: buildBreadcrumbs,
+  byline: buildBylineBlock,
+};
+
+// Auto-blocks enabled per template metadata, default applies to any other page
+const templateAutoBlocks = {
+  default: ['hero'],
+  article: ['hero', 'breadcrumbs', 'byline'],
+};
+
+/**
+ * Builds all synthetic blocks in a container element.
+ * Skipped for fragments and in the Universal Editor, so authored content stays editable.
+ * @param {Element} main The container element
+ */
+function buildAutoBlocks(main) {
+  if (!main.isConnected || isUniversalEditor()) return;
+  const templates = getMetadata('template').split(',').map((t) => toClassName(t.trim()))
+    .filter((template) => templateAutoBlocks[template]);
+  const names = new Set((templates.length ? templates : ['default'])
+    .flatMap((template) => templateAutoBlocks[template]));
+  Object.entries(autoBlocks).forEach(([name, build]) => {
+    if (!names.has(name)) return;
+    try {
+      build(main);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(`Auto Blocking ${name} failed`, error);
+    }
+  });
+}
+
 /**
  * Adds accessible aria-label to linked icons that don't have a text content.
  * @param {Element} main The main element
@@ -547,6 +1131,7 @@ function a11yLinks(main) {
 
 const hostnames = ['localhost', 'helms-charity.hlx.page'];
 
+// only list locales the site is published in, they are offered in the language switcher
 const locales = {
   '': { lang: 'en' },
   // '/de': { lang: 'de' },
@@ -557,10 +1142,13 @@ const locales = {
   // '/zh': { lang: 'zh' },
 };
 
-// Widget patterns to look for
+// Widget patterns to look for, and what to render them with:
+// either a block name (defaults to the widget name) or a loader module
+// whose default export receives the link, e.g.
+// { name: 'form', pattern: '/forms/', loader: '/widgets/form.js' }
 const widgets = [
-  { fragment: '/fragments/' },
-  { youtube: 'https://www.youtube' },
+  { name: 'fragment', pattern: '/fragments/' },
+  { name: 'youtube', pattern: 'https://www.youtube', block: 'embed' },
 ];
 
 // Blocks with self-managed styles
@@ -592,6 +1180,7 @@ export function decorateMain(main) {
   buildAutoBlocks(main);
   decorateSections(main);
   decorateBlocks(main);
+  main.querySelectorAll('.block').forEach(recordInstrumentation);
   a11yLinks(main);
 }
 
@@ -609,7 +1198,9 @@ async function loadEager(doc) {
   if (main) {
     decorateMain(main);
     document.body.classList.add('appear');
-    await loadSection(main.querySelector('.section'), waitForFirstImage);
+    const section = main.querySelector('.section');
+    await loadWidgets(section);
+    await loadSection(section, waitForFirstImage);
   }
 
   try {
@@ -635,7 +1226,11 @@ async function lazyHash() {
  */
 async function loadLazy(doc) {
   const main = doc.querySelector('main');
+  await loadWidgets(main);
   await loadSections(main);
+  checkContrast(main);
+  decorateHreflang(getConfig());
+  main.querySelectorAll('.block').forEach(checkInstrumentation);
 
   const { hash } = window.location;
   const element = hash ? doc.getElementById(hash.substring(1)) : false;
@@ -647,6 +1242,7 @@ async function loadLazy(doc) {
   loadCSS(`${window.hlx.codeBasePath}/styles/lazy-styles.css`);
   loadFonts();
   lazyHash();
+  loadModalFromHash();
 }
 
 /**
@@ -659,12 +1255,45 @@ function loadDelayed() {
   // load anything that can be postponed to the latest here
 }
 
+/**
+ * Sets up the authoring mode of the Universal Editor, where content that blocks
+ * hide, like carousel slides or closed accordion items, is revealed when it is
+ * selected. Blocks opt in by exporting revealEditorItem(block, element).
+ */
+function initAuthoringMode() {
+  if (!isUniversalEditor()) return;
+  document.addEventListener('aue:ui-select', async (event) => {
+    const { resource, selected } = event.detail || {};
+    if (!resource || !selected) return;
+    const element = document.querySelector(`[data-aue-resource="${resource}"]`);
+    if (!element) return;
+
+    // reveal from the outermost block in, e.g. a carousel in a tab
+    const blocks = [];
+    for (let block = element.closest('.block'); block; block = block.parentElement?.closest('.block')) {
+      blocks.unshift(block);
+    }
+    for (let i = 0; i < blocks.length; i += 1) {
+      const { blockName } = blocks[i].dataset;
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const mod = await import(`${window.hlx.codeBasePath}/blocks/${blockName}/${blockName}.js`);
+        if (mod.revealEditorItem) mod.revealEditorItem(blocks[i], element);
+      } catch (e) {
+        // the block has no module, nothing to reveal
+      }
+    }
+  });
+}
+
 async function loadPage() {
   await loadEager(document);
   await loadLazy(document);
   loadDelayed();
 }
 
+interceptModalLinks();
+initAuthoringMode();
 loadPage();
 
 /* CHARITY - da specific stuff */